@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// Print the VITE_ADMIN_PASS_HASH for an admin passphrase
+//
+//   npm run admin-hash -- <passphrase>
+//
+// Put the line in .env.local for local builds, and the value in the repository
+// variable ADMIN_PASS_HASH for the GitHub Pages deploy.
+
+import { createPassphraseHash } from '../src/lib/adminAuth.js';
+
+const passphrase = process.argv[2];
+if (!passphrase) {
+  console.error('Gebruik: npm run admin-hash -- <wachtwoord>');
+  process.exit(1);
+}
+
+console.log(`VITE_ADMIN_PASS_HASH=${await createPassphraseHash(passphrase)}`);
@@ -0,0 +1,571 @@
+#!/usr/bin/env node
+// Share CLI — publish and check shares in public/shares (cross-platform)
+//
+//   npm run share -- import <zip> [--replace] [--no-commit] [--no-push]
+//   npm run share -- validate <zip | map | share-id>
+//   npm run share -- list
+//   npm run share -- remove <share-id> [--no-commit] [--no-push]
+//   npm run share -- stats [share-id]
+//
+// import validates everything before a single file is written: meta.json
+// against the schema below, and a decodable .bin for every sound a preset uses.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import JSZip from 'jszip';
+import { getShareStatus, SHARE_STATUS_LABELS } from '../src/lib/shareSchedule.js';
+
+const PROJECT_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const SHARES_DIR = path.join(PROJECT_DIR, 'public', 'shares');
+const SITE_URL = 'https://jasperzuidervaart.github.io/visual-sound-mixer/';
+const SHARE_ID_PATTERN = /^[a-z0-9]+$/;
+
+// ===== meta.json schema =====
+// type: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'map' (object with
+// id keys); '?' suffix = optional; nested `fields` / `items` / `values` describe children
+
+const PRESET_SCHEMA = {
+  type: 'object',
+  fields: {
+    id: 'number',
+    name: 'string',
+    bpm: 'number?',
+    libraryItemDbIds: { type: 'array', items: 'number' },
+    orbLayout: {
+      type: 'array?',
+      items: { type: 'object', fields: { dbId: 'number', x: 'number', y: 'number', size: 'number?', muted: 'boolean?' } },
+    },
+    reverbIrDbId: 'number?',
+    backgroundImage: 'any?',
+  },
+};
+
+const META_SCHEMA = {
+  type: 'object',
+  fields: {
+    name: 'string',
+    version: 'string?',
+    exportedAt: 'string?',
+    visibleControls: { type: 'object', values: 'boolean' },
+    showLibrary: 'boolean?',
+    showOrbRemove: 'boolean?',
+    presets: { type: 'array', items: PRESET_SCHEMA },
+    recordings: { type: 'array?', items: { type: 'object', fields: { presetId: 'number', events: 'array' } } },
+    audioNames: { type: 'map?', values: 'string' },
+    audioGainTrims: { type: 'map?', values: 'number' },
+    audioTempos: { type: 'map?', values: { type: 'object', fields: { sourceBpm: 'number', loopBars: 'number?' } } },
+    audioSizes: { type: 'map?', values: 'number' },
+    audioHashes: { type: 'map?', values: 'string' },
+    audioFormats: { type: 'map?', values: { type: 'object', fields: { codec: 'string', mimeType: 'string' } } },
+    impulseNames: { type: 'map?', values: 'string' },
+    validFrom: 'string?',
+    validUntil: 'string?',
+    disabled: 'boolean?',
+  },
+};
+
+// Password-protected share (src/lib/shareCrypto.js): meta.json is only an envelope,
+// the real meta and every .bin are AES-GCM encrypted
+const ENCRYPTED_META_SCHEMA = {
+  type: 'object',
+  fields: {
+    encrypted: { type: 'object', fields: { cipher: 'string', kdf: 'string', iterations: 'number', salt: 'string' } },
+    data: 'string',
+    validFrom: 'string?',
+    validUntil: 'string?',
+    disabled: 'boolean?',
+  },
+};
+const ENCRYPTED_MIN_BYTES = 12 + 16; // iv + GCM tag
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// → list of "path: problem" strings
+function validateSchema(value, schema, where = 'meta') {
+  const spec = typeof schema === 'string' ? { type: schema } : schema;
+  const optional = spec.type.endsWith('?');
+  const type = spec.type.replace('?', '');
+
+  if (value === undefined || value === null) {
+    return optional ? [] : [`${where}: ontbreekt`];
+  }
+  if (type === 'any') return [];
+
+  const actual = typeOf(value);
+  const expected = type === 'map' ? 'object' : type;
+  if (actual !== expected) return [`${where}: verwacht ${type}, gevonden ${actual}`];
+
+  const errors = [];
+  if (type === 'array' && spec.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, spec.items, `${where}[${i}]`)));
+  }
+  if (type === 'map') {
+    for (const key of Object.keys(value)) {
+      if (!/^\d+$/.test(key)) errors.push(`${where}.${key}: sleutel is geen id`);
+    }
+  }
+  if ((type === 'object' || type === 'map') && spec.values) {
+    for (const [key, item] of Object.entries(value)) {
+      errors.push(...validateSchema(item, spec.values, `${where}.${key}`));
+    }
+  }
+  if (type === 'object' && spec.fields) {
+    for (const [key, fieldSpec] of Object.entries(spec.fields)) {
+      errors.push(...validateSchema(value[key], fieldSpec, `${where}.${key}`));
+    }
+  }
+  return errors;
+}
+
+// ===== Audio probing =====
+// Node has no decodeAudioData: parse the container/stream headers instead, enough
+// to know the browser gets a well-formed file of a format it can decode
+
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320], // MPEG1 layer III
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160], // MPEG2/2.5 layer III
+};
+const MP3_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+function mp3FrameAt(buf, i) {
+  if (i + 4 > buf.length || buf[i] !== 0xff || (buf[i + 1] & 0xe0) !== 0xe0) return null;
+  const version = (buf[i + 1] >> 3) & 3; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+  const layer = (buf[i + 1] >> 1) & 3; // 1 = layer III
+  const bitrateIndex = buf[i + 2] >> 4;
+  const rateIndex = (buf[i + 2] >> 2) & 3;
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+  const bitrate = MP3_BITRATES[version === 3 ? 1 : 2][bitrateIndex] * 1000;
+  const sampleRate = MP3_RATES[version][rateIndex];
+  const padding = (buf[i + 2] >> 1) & 1;
+  const length = Math.floor(((version === 3 ? 144 : 72) * bitrate) / sampleRate) + padding;
+  return { sampleRate, channels: (buf[i + 3] >> 6) === 3 ? 1 : 2, length };
+}
+
+function probeWav(buf) {
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  let fmt = null;
+  let dataSize = null;
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString('latin1', offset, offset + 4);
+    const size = view.getUint32(offset + 4, true);
+    if (id === 'fmt ') {
+      fmt = {
+        formatCode: view.getUint16(offset + 8, true),
+        channels: view.getUint16(offset + 10, true),
+        sampleRate: view.getUint32(offset + 12, true),
+        bitsPerSample: view.getUint16(offset + 22, true),
+      };
+    } else if (id === 'data') {
+      if (offset + 8 + size > buf.length) throw new Error('WAV data chunk is afgekapt');
+      dataSize = size;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  if (!fmt) throw new Error('WAV zonder fmt-chunk');
+  if (![1, 3, 0xfffe].includes(fmt.formatCode)) throw new Error(`WAV-formaat ${fmt.formatCode} niet ondersteund`);
+  if (!fmt.channels || !fmt.sampleRate || !fmt.bitsPerSample) throw new Error('WAV fmt-chunk ongeldig');
+  if (!dataSize) throw new Error('WAV zonder audio (data-chunk)');
+  const duration = dataSize / (fmt.channels * (fmt.bitsPerSample / 8) * fmt.sampleRate);
+  return { codec: 'wav', sampleRate: fmt.sampleRate, channels: fmt.channels, duration };
+}
+
+function probeFlac(buf) {
+  if (buf.length < 42 || (buf[4] & 0x7f) !== 0) throw new Error('FLAC zonder STREAMINFO');
+  const sampleRate = (buf[18] << 12) | (buf[19] << 4) | (buf[20] >> 4);
+  const channels = ((buf[20] >> 1) & 7) + 1;
+  const totalSamples = (buf[21] & 0xf) * 2 ** 32 + buf.readUInt32BE(22);
+  if (!sampleRate) throw new Error('FLAC STREAMINFO ongeldig');
+  return { codec: 'flac', sampleRate, channels, duration: totalSamples / sampleRate };
+}
+
+function probeOgg(buf) {
+  const segments = buf[26];
+  const packet = buf.subarray(27 + segments);
+  if (packet.toString('latin1', 0, 8) === 'OpusHead') {
+    return { codec: 'opus', sampleRate: 48000, channels: packet[9] };
+  }
+  if (packet.toString('latin1', 1, 7) === 'vorbis') {
+    return { codec: 'vorbis', sampleRate: packet.readUInt32LE(12), channels: packet[11] };
+  }
+  throw new Error('Ogg-stream is geen Opus of Vorbis');
+}
+
+function probeMp3(buf) {
+  let start = 0;
+  if (buf.toString('latin1', 0, 3) === 'ID3') {
+    const size = ((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) | ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f);
+    start = 10 + size + (buf[5] & 0x10 ? 10 : 0);
+  }
+  // First frame whose successor also syncs (avoids false syncs in tag padding)
+  for (let i = start; i < Math.min(buf.length, start + 64 * 1024); i++) {
+    const frame = mp3FrameAt(buf, i);
+    if (frame && mp3FrameAt(buf, i + frame.length)) {
+      return { codec: 'mp3', sampleRate: frame.sampleRate, channels: frame.channels };
+    }
+  }
+  throw new Error('geen geldige MP3-frames gevonden');
+}
+
+function probeAudio(buf) {
+  if (buf.length < 12) throw new Error('bestand is te klein');
+  const tag = buf.toString('latin1', 0, 4);
+  if (tag === 'RIFF' && buf.toString('latin1', 8, 12) === 'WAVE') return probeWav(buf);
+  if (tag === 'fLaC') return probeFlac(buf);
+  if (tag === 'OggS') return probeOgg(buf);
+  if (tag === 'FORM' && ['AIFF', 'AIFC'].includes(buf.toString('latin1', 8, 12))) return { codec: 'aiff' };
+  if (buf.toString('latin1', 4, 8) === 'ftyp') return { codec: 'mp4' };
+  return probeMp3(buf);
+}
+
+// ===== Reading shares =====
+
+// A share as { id, files: Map<name, () => Buffer> } from a ZIP, a folder or a published id
+async function openShare(target) {
+  const folder = fs.existsSync(target) ? target : path.join(SHARES_DIR, target);
+  if (fs.existsSync(folder) && fs.statSync(folder).isDirectory()) {
+    const files = new Map();
+    for (const name of fs.readdirSync(folder)) {
+      files.set(name, () => fs.readFileSync(path.join(folder, name)));
+    }
+    return { id: path.basename(path.resolve(folder)), files };
+  }
+  if (!fs.existsSync(target)) throw new Error(`Niet gevonden: ${target}`);
+
+  const zip = await JSZip.loadAsync(fs.readFileSync(target));
+  const metaPath = Object.keys(zip.files)
+    .filter((name) => name === 'meta.json' || name.endsWith('/meta.json'))
+    .sort((a, b) => a.length - b.length)[0];
+  if (!metaPath) throw new Error('Geen meta.json in de ZIP');
+  const dir = metaPath.slice(0, -'meta.json'.length);
+  const id = dir.split('/').filter(Boolean).pop() || path.basename(target, path.extname(target));
+
+  const files = new Map();
+  for (const [name, entry] of Object.entries(zip.files)) {
+    const rest = name.slice(dir.length);
+    if (entry.dir || !name.startsWith(dir) || rest.includes('/')) continue;
+    const data = await entry.async('nodebuffer');
+    files.set(rest, () => data);
+  }
+  return { id, files };
+}
+
+function readMeta(share) {
+  const read = share.files.get('meta.json');
+  if (!read) throw new Error('Geen meta.json');
+  return JSON.parse(read().toString('utf8'));
+}
+
+// validFrom / validUntil must be parseable dates, in order (see src/lib/shareSchedule.js)
+function checkSchedule(meta, errors, warnings) {
+  for (const field of ['validFrom', 'validUntil']) {
+    if (typeof meta[field] === 'string' && Number.isNaN(Date.parse(meta[field]))) {
+      errors.push(`meta.${field}: "${meta[field]}" is geen geldige datum`);
+    }
+  }
+  if (meta.validFrom && meta.validUntil && Date.parse(meta.validFrom) >= Date.parse(meta.validUntil)) {
+    errors.push('meta.validUntil ligt niet na meta.validFrom');
+  }
+  const status = getShareStatus(meta);
+  if (status !== 'active') warnings.push(`Share is ${SHARE_STATUS_LABELS[status].toLowerCase()} — spelers kunnen hem nu niet openen`);
+}
+
+/**
+ * Full check of a share.
+ * @returns {{ meta, errors: string[], warnings: string[], sounds: object[], totalSize: number }}
+ */
+function inspectShare(share) {
+  const errors = [];
+  const warnings = [];
+  let meta;
+  try {
+    meta = readMeta(share);
+  } catch (err) {
+    return { meta: null, errors: [`meta.json: ${err.message}`], warnings, sounds: [], totalSize: 0 };
+  }
+
+  if (!SHARE_ID_PATTERN.test(share.id)) errors.push(`Share-id "${share.id}" mag alleen a-z en 0-9 bevatten`);
+  if (meta?.encrypted) return inspectEncryptedShare(share, meta, errors, warnings);
+  errors.push(...validateSchema(meta, META_SCHEMA));
+  checkSchedule(meta, errors, warnings);
+  if (!Array.isArray(meta.presets)) return { meta, errors, warnings, sounds: [], totalSize: 0 };
+
+  const presetIds = new Set();
+  for (const preset of meta.presets) {
+    if (presetIds.has(preset.id)) errors.push(`Preset-id ${preset.id} komt twee keer voor`);
+    presetIds.add(preset.id);
+  }
+
+  // Every sound a preset uses needs a .bin that decodes
+  const audioIds = [...new Set(meta.presets.flatMap((p) => p.libraryItemDbIds || []))];
+  const sounds = [];
+  for (const id of audioIds) {
+    const name = meta.audioNames?.[id] || `sound-${id}`;
+    const read = share.files.get(`${id}.bin`);
+    if (!read) {
+      errors.push(`${id}.bin ontbreekt ("${name}")`);
+      continue;
+    }
+    const data = read();
+    try {
+      const info = probeAudio(data);
+      sounds.push({ id, name, size: data.length, ...info });
+      const declared = meta.audioFormats?.[id]?.codec;
+      if (declared && declared !== info.codec) {
+        errors.push(`${id}.bin is ${info.codec}, maar meta.json zegt ${declared}`);
+      }
+      if (meta.audioSizes?.[id] != null && meta.audioSizes[id] !== data.length) {
+        errors.push(`${id}.bin is ${data.length} bytes, meta.json zegt ${meta.audioSizes[id]}`);
+      }
+    } catch (err) {
+      errors.push(`${id}.bin ("${name}") is geen geldige audio: ${err.message}`);
+    }
+  }
+
+  for (const preset of meta.presets) {
+    for (const orb of preset.orbLayout || []) {
+      if (!(preset.libraryItemDbIds || []).includes(orb.dbId)) {
+        warnings.push(`Preset "${preset.name}": orb verwijst naar geluid ${orb.dbId} buiten de library`);
+      }
+    }
+    if (preset.reverbIrDbId != null && !share.files.has(`ir-${preset.reverbIrDbId}.bin`)) {
+      errors.push(`ir-${preset.reverbIrDbId}.bin ontbreekt (reverb van "${preset.name}")`);
+    }
+  }
+  for (const recording of meta.recordings || []) {
+    if (!presetIds.has(recording.presetId)) warnings.push(`Opname "${recording.name}" hoort bij onbekende preset ${recording.presetId}`);
+  }
+  if (!meta.version) warnings.push('Geen version in meta.json — spelers synchroniseren bij elk bezoek opnieuw');
+
+  const expected = new Set(['meta.json', ...audioIds.map((id) => `${id}.bin`)]);
+  for (const preset of meta.presets) {
+    if (preset.reverbIrDbId != null) expected.add(`ir-${preset.reverbIrDbId}.bin`);
+  }
+  for (const name of share.files.keys()) {
+    if (!expected.has(name)) warnings.push(`${name} wordt door geen enkele preset gebruikt`);
+  }
+
+  let totalSize = 0;
+  for (const read of share.files.values()) totalSize += read().length;
+  return { meta, errors, warnings, sounds, totalSize };
+}
+
+// Without the passphrase only the envelope and the file sizes can be checked
+function inspectEncryptedShare(share, meta, errors, warnings) {
+  errors.push(...validateSchema(meta, ENCRYPTED_META_SCHEMA));
+  checkSchedule(meta, errors, warnings);
+  if (meta.encrypted?.cipher && meta.encrypted.cipher !== 'AES-GCM') errors.push(`Onbekende cipher ${meta.encrypted.cipher}`);
+  warnings.push('Versleutelde share — presets en audio kunnen zonder wachtwoord niet gecontroleerd worden');
+
+  let totalSize = 0;
+  for (const [name, read] of share.files) {
+    const size = read().length;
+    totalSize += size;
+    if (name.endsWith('.bin') && size < ENCRYPTED_MIN_BYTES) errors.push(`${name} is te klein voor een versleuteld bestand (${size} bytes)`);
+  }
+  return { meta, errors, warnings, sounds: [], totalSize };
+}
+
+// ===== Output helpers =====
+
+function formatSize(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function printReport(id, { meta, errors, warnings, sounds, totalSize }) {
+  console.log(`\n  📦 ${id}${meta?.name ? ` — "${meta.name}"` : ''}`);
+  if (meta?.presets) {
+    console.log(`     ${meta.presets.length} presets, ${sounds.length} geluiden, ${formatSize(totalSize)} totaal`);
+  } else if (meta?.encrypted) {
+    console.log(`     🔒 versleuteld, ${formatSize(totalSize)} totaal`);
+  }
+  for (const warning of warnings) console.log(`  ⚠️  ${warning}`);
+  for (const error of errors) console.log(`  ❌ ${error}`);
+  if (errors.length === 0) console.log('  ✅ Share is geldig');
+}
+
+function shareUrl(id) {
+  return `${SITE_URL}#share-${id}`;
+}
+
+// Best effort: pbcopy (macOS), clip (Windows), wl-copy / xclip (Linux)
+function copyToClipboard(text) {
+  const candidates = {
+    darwin: [['pbcopy', []]],
+    win32: [['clip', []]],
+  }[process.platform] || [['wl-copy', []], ['xclip', ['-selection', 'clipboard']]];
+  for (const [cmd, args] of candidates) {
+    const result = spawnSync(cmd, args, { input: text });
+    if (result.status === 0) return true;
+  }
+  return false;
+}
+
+function git(args) {
+  execFileSync('git', args, { cwd: PROJECT_DIR, stdio: 'inherit' });
+}
+
+function publish(relPath, message, { commit, push }) {
+  if (!commit) {
+    console.log('\n  ⏭  Geen commit (--no-commit)');
+    return;
+  }
+  console.log('\n  🔄 Git commit...');
+  git(['add', '-A', relPath]);
+  git(['commit', '-m', message]);
+  if (!push) {
+    console.log('  ⏭  Niet gepusht (--no-push)');
+    return;
+  }
+  console.log('  🔄 Git push...');
+  git(['push']);
+}
+
+function listShareIds() {
+  if (!fs.existsSync(SHARES_DIR)) return [];
+  return fs.readdirSync(SHARES_DIR)
+    .filter((name) => fs.existsSync(path.join(SHARES_DIR, name, 'meta.json')))
+    .sort();
+}
+
+// ===== Commands =====
+
+async function importCommand([zipPath], flags) {
+  if (!zipPath) throw new Error('Gebruik: npm run share -- import <pad-naar-zip>');
+  const share = await openShare(zipPath);
+  const report = inspectShare(share);
+  printReport(share.id, report);
+  if (report.errors.length > 0) throw new Error('Share niet geïmporteerd: los eerst de fouten op');
+
+  const target = path.join(SHARES_DIR, share.id);
+  const exists = fs.existsSync(target);
+  if (exists && !flags.replace) {
+    throw new Error(`public/shares/${share.id} bestaat al. Gebruik --replace om die share opnieuw te publiceren.`);
+  }
+
+  // Replace the folder as a whole so removed sounds don't linger
+  if (exists) fs.rmSync(target, { recursive: true });
+  fs.mkdirSync(target, { recursive: true });
+  for (const [name, read] of share.files) {
+    fs.writeFileSync(path.join(target, name), read());
+  }
+  console.log(`\n  📁 Share uitgepakt naar public/shares/${share.id}/`);
+
+  publish(path.relative(PROJECT_DIR, target), `${exists ? 'Update' : 'Add'} share ${share.id}`, flags);
+
+  const url = shareUrl(share.id);
+  console.log(`\n  🔗 ${url}`);
+  if (copyToClipboard(url)) console.log('     (gekopieerd naar het klembord)');
+  if (flags.commit && flags.push) console.log('\n  (Het kan ~30 sec duren voor GitHub Pages geüpdatet is)');
+}
+
+async function validateCommand([target]) {
+  if (!target) throw new Error('Gebruik: npm run share -- validate <zip | map | share-id>');
+  const share = await openShare(target);
+  const report = inspectShare(share);
+  printReport(share.id, report);
+  if (report.errors.length > 0) process.exitCode = 1;
+}
+
+async function listCommand() {
+  const ids = listShareIds();
+  if (ids.length === 0) {
+    console.log('\n  Nog geen shares in public/shares');
+    return;
+  }
+  console.log('');
+  for (const id of ids) {
+    const share = await openShare(path.join(SHARES_DIR, id));
+    let meta = {};
+    try {
+      meta = readMeta(share);
+    } catch {
+      // listed as unreadable below
+    }
+    let size = 0;
+    for (const read of share.files.values()) size += read().length;
+    const presets = Array.isArray(meta.presets) ? meta.presets.length : '?';
+    const name = meta.encrypted ? '🔒 (versleuteld)' : meta.name ?? '(onleesbaar)';
+    const status = SHARE_STATUS_LABELS[getShareStatus(meta)];
+    console.log(`  ${id.padEnd(10)} ${String(name).padEnd(28)} ${String(presets).padStart(3)} presets  ${formatSize(size).padStart(9)}  ${status.padEnd(13)} ${meta.exportedAt?.slice(0, 10) ?? ''}`);
+  }
+}
+
+async function removeCommand([id], flags) {
+  if (!id) throw new Error('Gebruik: npm run share -- remove <share-id>');
+  const target = path.join(SHARES_DIR, id);
+  if (!SHARE_ID_PATTERN.test(id) || !fs.existsSync(target)) throw new Error(`Share ${id} niet gevonden in public/shares`);
+  fs.rmSync(target, { recursive: true });
+  console.log(`\n  🗑  public/shares/${id} verwijderd`);
+  publish(path.relative(PROJECT_DIR, target), `Remove share ${id}`, flags);
+}
+
+async function statsCommand([id]) {
+  const targets = id ? [id] : listShareIds().map((shareId) => path.join(SHARES_DIR, shareId));
+  let grandTotal = 0;
+  for (const target of targets) {
+    const share = await openShare(target);
+    const report = inspectShare(share);
+    grandTotal += report.totalSize;
+    printReport(share.id, report);
+    const sorted = [...report.sounds].sort((a, b) => b.size - a.size);
+    for (const sound of sorted) {
+      const details = [sound.codec, sound.sampleRate && `${sound.sampleRate} Hz`, sound.channels && `${sound.channels} ch`,
+        sound.duration && `${sound.duration.toFixed(1)} s`].filter(Boolean).join(', ');
+      console.log(`     ${formatSize(sound.size).padStart(9)}  ${String(sound.id).padStart(4)}.bin  ${sound.name}  (${details})`);
+    }
+  }
+  if (targets.length > 1) console.log(`\n  Σ ${targets.length} shares, ${formatSize(grandTotal)}`);
+}
+
+const COMMANDS = {
+  import: importCommand,
+  validate: validateCommand,
+  list: listCommand,
+  remove: removeCommand,
+  stats: statsCommand,
+};
+
+function printUsage() {
+  console.log(`
+  📦 Share CLI
+  ────────────
+  npm run share -- import <zip> [--replace] [--no-commit] [--no-push]
+  npm run share -- validate <zip | map | share-id>
+  npm run share -- list
+  npm run share -- remove <share-id> [--no-commit] [--no-push]
+  npm run share -- stats [share-id]
+`);
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const args = rest.filter((arg) => !arg.startsWith('--'));
+  const options = new Set(rest.filter((arg) => arg.startsWith('--')));
+  const flags = {
+    replace: options.has('--replace'),
+    commit: !options.has('--no-commit'),
+    push: !options.has('--no-commit') && !options.has('--no-push'),
+  };
+
+  if (!COMMANDS[command]) {
+    printUsage();
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+  try {
+    await COMMANDS[command](args, flags);
+  } catch (err) {
+    console.error(`\n  ❌ ${err.message}\n`);
+    process.exitCode = 1;
+  }
+}
+
+main();
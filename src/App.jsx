@@ -2,14 +2,21 @@ import Library from './components/Library';
 import MixerField from './components/MixerField';
 import MasterMeter from './components/MasterMeter';
 import ShareManager from './components/ShareManager';
+import ProjectBackup from './components/ProjectBackup';
 import './App.css';
 
-export default function App() {
+export default function App({ onLogout = null }) {
   return (
     <div className="app">
       <div className="admin-sidebar">
         <Library mode="admin" />
         <ShareManager />
+        <ProjectBackup />
+        {onLogout && (
+          <div className="admin-logout">
+            <button className="share-import-btn" onClick={onLogout}>Uitloggen</button>
+          </div>
+        )}
       </div>
       <MixerField mode="admin" />
       <MasterMeter />
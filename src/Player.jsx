@@ -1,97 +1,238 @@
 import { useState, useEffect } from 'react';
 import Library from './components/Library';
 import MixerField from './components/MixerField';
-import { getPlayerPresets, playerDbName, getByIdsFromDb, savePreset, saveToDbWithId } from './lib/audioDb';
-import { useAudioEngine } from './hooks/useAudioEngine';
+import MasterRecorder from './components/MasterRecorder';
+import { getPlayerPresets, playerDbName, syncPlayerDbWithShare, saveImpulseWithId, saveToDbWithId, getByIdsFromDb } from './lib/audioDb';
+import { useShareLibrary } from './hooks/useShareLibrary';
+import { getUnsupportedAudioFormats } from './lib/audioEncoder';
+import { decodeSharePayload, base64ToArrayBuffer, INLINE_SHARE_ELEMENT_ID } from './lib/shareCodec';
+import { isSameAudio } from './lib/shareVersion';
+import { isEncryptedMeta, unlockMeta, decryptFile } from './lib/shareCrypto';
+import { getShareStatusMessage } from './lib/shareSchedule';
+import { clampGainTrim } from './lib/loudness';
 import useSoundStore from './stores/useSoundStore';
 import './App.css';
 
+// Passphrase of a protected share, remembered for this tab after unlocking
+const shareKeyStorageKey = (sid) => `vsm-share-key-${sid}`;
+
+// #share-{id}, optionally with the passphrase of a protected share: #share-{id}&key={passphrase}
+function parseShareHash(hash) {
+  const match = hash.match(/^#share-([^&]+)(?:&key=(.*))?$/);
+  if (!match) return null;
+  return { sid: match[1], passphrase: match[2] != null ? decodeURIComponent(match[2]) : null };
+}
+
+// Self-contained share: #inline-… hash, or embedded in a downloaded HTML file
+function readInlinePayload() {
+  const match = window.location.hash.match(/^#inline-(.+)$/);
+  if (match) return match[1];
+  return document.getElementById(INLINE_SHARE_ELEMENT_ID)?.textContent.trim() || null;
+}
+
+// Store the audio + IRs carried by an inline payload (unchanged sounds are kept,
+// so their cached loudness survives)
+async function saveInlineAudio({ meta, audio = {}, impulses = {} }, dbName) {
+  const ids = Object.keys(audio).map(Number);
+  const stored = new Map((await getByIdsFromDb(ids, dbName)).map((item) => [item.id, item]));
+  for (const id of ids) {
+    const key = String(id);
+    const item = stored.get(id);
+    if (item && isSameAudio(item, meta)) continue;
+    await saveToDbWithId(id, meta.audioNames?.[key] || `sound-${id}`, base64ToArrayBuffer(audio[key]), dbName, {
+      gainTrim: clampGainTrim(meta.audioGainTrims?.[key] ?? 0),
+      sourceBpm: meta.audioTempos?.[key]?.sourceBpm ?? null,
+      loopBars: meta.audioTempos?.[key]?.loopBars ?? null,
+      contentHash: meta.audioHashes?.[key] ?? null,
+    });
+  }
+  for (const [key, data] of Object.entries(impulses)) {
+    await saveImpulseWithId(Number(key), meta.impulseNames?.[key] || `ir-${key}`, base64ToArrayBuffer(data), dbName);
+  }
+}
+
 export default function Player() {
   const [share, setShare] = useState(null);
   const [shareId, setShareId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [shareSource, setShareSource] = useState(null); // where missing sounds are fetched from
+  const [locked, setLocked] = useState(null); // { sid, baseUrl, envelope } while waiting for the passphrase
+  const [passphrase, setPassphrase] = useState('');
+  const [unlockError, setUnlockError] = useState(null);
+  const [unlocking, setUnlocking] = useState(false);
 
   const loadPresets = useSoundStore((s) => s.loadPresets);
-  const addToLibrary = useSoundStore((s) => s.addToLibrary);
-  const { decodeAudio } = useAudioEngine();
+  const { loadPresetLibrary } = useShareLibrary();
+
+  // Everything after the share data is known (decrypted when protected).
+  // key: AES key of a protected share — every fetched .bin is decrypted with it
+  const openShare = async ({ sid, baseUrl, meta, inline = null, key = null, keyId = null }) => {
+    try {
+      // Disabled, not yet available or expired (see lib/shareSchedule)
+      const statusMessage = getShareStatusMessage(meta);
+      if (statusMessage) {
+        setError(statusMessage);
+        setLoading(false);
+        return;
+      }
+
+      // Encoded audio (FLAC / Opus, see meta.audioFormats) needs browser support
+      const unsupported = getUnsupportedAudioFormats(meta.audioFormats);
+      if (unsupported.length > 0) {
+        setError(`Deze browser kan het audioformaat van deze share niet afspelen (${unsupported.join(', ').toUpperCase()}).`);
+        setLoading(false);
+        return;
+      }
+
+      setShare({
+        name: meta.name,
+        visibleControls: meta.visibleControls,
+        showLibrary: meta.showLibrary,
+        showOrbRemove: meta.showOrbRemove,
+        presetIds: meta.presets.map((p) => p.id),
+      });
+      setShareId(sid);
+
+      // 2. Sync presets + recorded takes into the player IDB when the share
+      // was (re)published since the last visit; outdated audio is purged
+      const pDbName = playerDbName(sid);
+      await syncPlayerDbWithShare(meta, pDbName);
+
+      // 3. Inline shares carry their audio; otherwise fetch the uploaded
+      // reverb IRs referenced by the presets (small — fetched up front)
+      const impulseIds = new Set(
+        inline ? [] : meta.presets.map((p) => p.reverbIrDbId).filter((id) => id != null)
+      );
+      if (inline) await saveInlineAudio(inline, pDbName);
+      await Promise.all([...impulseIds].map(async (id) => {
+        const irResponse = await fetch(`${baseUrl}ir-${id}.bin`);
+        if (!irResponse.ok) {
+          console.error(`Failed to fetch impulse response ir-${id}.bin`);
+          return;
+        }
+        let arrayBuffer = await irResponse.arrayBuffer();
+        if (key) arrayBuffer = await decryptFile(arrayBuffer, key, `ir-${id}.bin`);
+        const name = meta.impulseNames?.[String(id)] || `ir-${id}`;
+        await saveImpulseWithId(id, name, arrayBuffer, pDbName);
+      }));
+
+      // 4. Load presets and open the mixer right away; the first preset's
+      // sounds stream in (other presets are fetched when switched to)
+      const playerPresets = await getPlayerPresets(sid);
+      loadPresets(playerPresets);
+      const source = {
+        baseUrl,
+        audioNames: meta.audioNames,
+        audioGainTrims: meta.audioGainTrims,
+        audioTempos: meta.audioTempos,
+        audioSizes: meta.audioSizes,
+        audioHashes: meta.audioHashes,
+        key,
+        keyId,
+      };
+      setShareSource(source);
+      setLoading(false);
+
+      if (playerPresets[0]) {
+        loadPresetLibrary(playerPresets[0], { ...source, dbName: pDbName })
+          .catch((err) => console.error('Failed to load share audio:', err));
+      }
+    } catch (err) {
+      console.error('Failed to load share:', err);
+      setError('Fout bij het laden van de share.');
+      setLoading(false);
+    }
+  };
+
+  // Protected share: derive the key, decrypt meta.json and continue loading
+  const unlockShare = async ({ sid, baseUrl, envelope }, entered) => {
+    const { meta, key } = await unlockMeta(envelope, entered);
+    sessionStorage.setItem(shareKeyStorageKey(sid), entered);
+    setLocked(null);
+    setLoading(true);
+    // Salt changes with the passphrase → busts cached files encrypted with an old key
+    const keyId = envelope.encrypted.salt.replace(/[^A-Za-z0-9]/g, '').slice(0, 8);
+    await openShare({ sid, baseUrl, meta, key, keyId });
+  };
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    if (!passphrase || unlocking) return;
+    setUnlocking(true);
+    setUnlockError(null);
+    try {
+      await unlockShare(locked, passphrase);
+    } catch (err) {
+      console.error('Failed to unlock share:', err);
+      setUnlockError('Onjuist wachtwoord.');
+    } finally {
+      setUnlocking(false);
+    }
+  };
 
   useEffect(() => {
     (async () => {
       try {
-        const hash = window.location.hash;
-
-        const match = hash.match(/^#share-(.+)$/);
-        if (!match) {
+        const inlinePayload = readInlinePayload();
+        const link = parseShareHash(window.location.hash);
+        if (!link && !inlinePayload) {
           setError('Geen share gevonden. Open een share-link om te beginnen.');
           setLoading(false);
           return;
         }
 
-        const sid = match[1];
-        const baseUrl = `${import.meta.env.BASE_URL}shares/${sid}/`;
+        // 1. Share data: decoded from the inline payload, or meta.json from the share folder
+        if (inlinePayload) {
+          let inline;
+          try {
+            inline = decodeSharePayload(inlinePayload);
+          } catch (err) {
+            console.error('Invalid inline share:', err);
+            setError('Deze share-link is ongeldig of onvolledig gekopieerd.');
+            setLoading(false);
+            return;
+          }
+          await openShare({ sid: inline.id, baseUrl: null, meta: inline.meta, inline });
+          return;
+        }
 
-        // 1. Fetch meta.json
-        const metaResponse = await fetch(`${baseUrl}meta.json`);
+        const { sid } = link;
+        const baseUrl = `${import.meta.env.BASE_URL}shares/${sid}/`;
+        // Always revalidate: a republished share keeps the same URL
+        const metaResponse = await fetch(`${baseUrl}meta.json`, { cache: 'no-cache' });
         if (!metaResponse.ok) {
           setError('Share niet gevonden. Controleer de link.');
           setLoading(false);
           return;
         }
-
         const meta = await metaResponse.json();
-
-        setShare({
-          name: meta.name,
-          visibleControls: meta.visibleControls,
-          showLibrary: meta.showLibrary,
-          showOrbRemove: meta.showOrbRemove,
-          presetIds: meta.presets.map((p) => p.id),
-        });
-        setShareId(sid);
-
-        // 2. Write presets to player IDB
-        const pDbName = playerDbName(sid);
-        for (const preset of meta.presets) {
-          await savePreset({ ...preset, shared: true }, pDbName);
+        // A protected share's availability is readable without the passphrase
+        const statusMessage = getShareStatusMessage(meta);
+        if (statusMessage) {
+          setError(statusMessage);
+          setLoading(false);
+          return;
         }
-
-        // 3. Fetch audio files and write to player IDB
-        const audioIds = new Set();
-        for (const preset of meta.presets) {
-          for (const dbId of preset.libraryItemDbIds || []) {
-            audioIds.add(dbId);
-          }
+        if (!isEncryptedMeta(meta)) {
+          await openShare({ sid, baseUrl, meta });
+          return;
         }
 
-        await Promise.all([...audioIds].map(async (id) => {
-          const audioResponse = await fetch(`${baseUrl}${id}.bin`);
-          if (!audioResponse.ok) {
-            console.error(`Failed to fetch audio ${id}.bin`);
+        // Protected share: passphrase from the link or from earlier in this tab, else ask
+        const target = { sid, baseUrl, envelope: meta };
+        const known = link.passphrase ?? sessionStorage.getItem(shareKeyStorageKey(sid));
+        if (known) {
+          try {
+            await unlockShare(target, known);
             return;
-          }
-          const arrayBuffer = await audioResponse.arrayBuffer();
-          const name = meta.audioNames?.[String(id)] || `sound-${id}`;
-          await saveToDbWithId(id, name, arrayBuffer, pDbName);
-        }));
-
-        // 4. Load presets + audio from player IDB
-        const playerPresets = await getPlayerPresets(sid);
-        loadPresets(playerPresets);
-
-        const firstPreset = playerPresets[0];
-        if (firstPreset?.libraryItemDbIds?.length > 0) {
-          const items = await getByIdsFromDb(firstPreset.libraryItemDbIds, pDbName);
-          for (const item of items) {
-            try {
-              const audioBuffer = await decodeAudio(item.audioData);
-              addToLibrary(item.name, audioBuffer, item.id);
-            } catch (err) {
-              console.error('Failed to decode audio:', item.name, err);
-            }
+          } catch (err) {
+            console.error('Failed to unlock share:', err);
+            sessionStorage.removeItem(shareKeyStorageKey(sid));
+            if (link.passphrase != null) setUnlockError('Het wachtwoord in de link klopt niet.');
           }
         }
-
+        setLocked(target);
         setLoading(false);
       } catch (err) {
         console.error('Failed to load share:', err);
@@ -101,6 +242,29 @@ export default function Player() {
     })();
   }, []);
 
+  if (locked) {
+    return (
+      <div className="player-unlock">
+        <form className="player-unlock-box" onSubmit={handleUnlock}>
+          <h2>Beveiligde share</h2>
+          <input
+            type="password"
+            className="share-name-input"
+            placeholder="Wachtwoord"
+            autoFocus
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            disabled={unlocking}
+          />
+          <button type="submit" className="share-save-btn" disabled={!passphrase || unlocking}>
+            {unlocking ? 'Ontgrendelen...' : 'Openen'}
+          </button>
+          {unlockError && <p className="player-unlock-error">{unlockError}</p>}
+        </form>
+      </div>
+    );
+  }
+
   if (loading) {
     return (
       <div className="player-loading">
@@ -120,13 +284,18 @@ export default function Player() {
   return (
     <div className={`app player ${share?.showLibrary === false ? 'no-sidebar' : ''}`}>
       {share?.showLibrary !== false && (
-        <Library mode="player" sharePresetIds={share?.presetIds} shareId={shareId} />
+        <Library mode="player" sharePresetIds={share?.presetIds} shareId={shareId} shareSource={shareSource} />
       )}
       <MixerField
         mode="player"
         visibleControls={share?.visibleControls}
         showOrbRemove={share?.showOrbRemove ?? true}
+        dbName={shareId ? playerDbName(shareId) : undefined}
       />
+      {/* Players can save their own improvised mix */}
+      <div className="player-recorder">
+        <MasterRecorder filenamePrefix={share?.name || 'mix'} />
+      </div>
     </div>
   );
 }
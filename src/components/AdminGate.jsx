@@ -0,0 +1,109 @@
+import { useEffect, useState } from 'react';
+import App from '../App';
+import {
+  getAdminGateMode, verifyPassphrase, startSession, hasValidSession, endSession,
+  getLockoutRemaining, registerFailure, clearFailures,
+} from '../lib/adminAuth';
+
+const formatRemaining = (ms) => {
+  const s = Math.ceil(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+
+// Login in front of the admin. Note: the site is static, so this gate runs in the
+// browser — it keeps the passphrase out of the bundle, it does not protect the code.
+export default function AdminGate() {
+  const mode = getAdminGateMode();
+  const [status, setStatus] = useState(mode === 'hash' ? 'checking' : mode);
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState(null);
+  const [lockRemaining, setLockRemaining] = useState(getLockoutRemaining);
+
+  // Resume an existing session in this tab
+  useEffect(() => {
+    if (mode !== 'hash') return;
+    hasValidSession().then((valid) => setStatus(valid ? 'open' : 'login'));
+  }, [mode]);
+
+  // Lockout countdown
+  useEffect(() => {
+    if (lockRemaining <= 0) return;
+    const timer = setInterval(() => setLockRemaining(getLockoutRemaining()), 1000);
+    return () => clearInterval(timer);
+  }, [lockRemaining]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (getLockoutRemaining() > 0 || status === 'verifying') return;
+    setStatus('verifying');
+    setError(null);
+    try {
+      if (await verifyPassphrase(passphrase)) {
+        clearFailures();
+        await startSession();
+        setPassphrase('');
+        setStatus('open');
+        return;
+      }
+      const attemptsLeft = registerFailure();
+      const remaining = getLockoutRemaining();
+      setLockRemaining(remaining);
+      setError(remaining > 0 ? null : `Onjuist wachtwoord — nog ${attemptsLeft} pogingen.`);
+    } catch (err) {
+      console.error('Failed to verify admin passphrase:', err);
+      setError('Kon het wachtwoord niet controleren.');
+    }
+    setPassphrase('');
+    setStatus('login');
+  };
+
+  const handleLogout = () => {
+    endSession();
+    setStatus(mode === 'hash' ? 'login' : mode);
+  };
+
+  if (status === 'open') return <App onLogout={mode === 'hash' ? handleLogout : null} />;
+  if (status === 'checking') return null;
+
+  if (status === 'unconfigured') {
+    return (
+      <div className="admin-gate">
+        <div className="admin-gate-box">
+          <h2>Geen toegang</h2>
+          <p className="admin-gate-hint">
+            Er is geen admin-wachtwoord ingesteld voor deze build. Maak een hash met
+            {' '}<code>npm run admin-hash -- &lt;wachtwoord&gt;</code> en zet die als
+            {' '}<code>VITE_ADMIN_PASS_HASH</code> (in <code>.env.local</code> of als
+            repository-variabele voor de deploy).
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const locked = lockRemaining > 0;
+  return (
+    <div className="admin-gate">
+      <form className="admin-gate-box" onSubmit={handleSubmit}>
+        <h2>Admin</h2>
+        <input
+          type="password"
+          className="share-name-input"
+          placeholder="Wachtwoord"
+          autoComplete="current-password"
+          autoFocus
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          disabled={locked || status === 'verifying'}
+        />
+        <button type="submit" className="share-save-btn" disabled={locked || !passphrase || status === 'verifying'}>
+          {status === 'verifying' ? 'Controleren...' : 'Inloggen'}
+        </button>
+        {locked && (
+          <p className="admin-gate-error">Te veel pogingen — probeer het over {formatRemaining(lockRemaining)} opnieuw.</p>
+        )}
+        {error && <p className="admin-gate-error">{error}</p>}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import useSoundStore from '../stores/useSoundStore';
+
+// Fade envelopes per preset (ms): fade-in on start/unmute, fade-out on stop/mute
+export default function FadeSettings() {
+  const [open, setOpen] = useState(false);
+
+  const presets = useSoundStore((s) => s.presets);
+  const activePresetId = useSoundStore((s) => s.activePresetId);
+  const activePreset = presets.find((p) => p.id === activePresetId);
+  const fadeIn = activePreset?.fadeIn ?? 10;
+  const fadeOut = activePreset?.fadeOut ?? 50;
+
+  const setFades = useSoundStore((s) => s.setFades);
+
+  return (
+    <>
+      <button
+        className={`control-button ${open ? 'active' : ''}`}
+        onClick={(e) => {
+          e.stopPropagation();
+          setOpen(!open);
+        }}
+        title={open ? 'Hide fades' : 'Show fades'}
+      >
+        ◢◣ FADES
+      </button>
+
+      {open && (
+        <div className="reverb-slider-container" onClick={(e) => e.stopPropagation()}>
+          <label className="reverb-slider-label">In: {fadeIn} ms</label>
+          <input
+            type="range"
+            className="reverb-slider"
+            min="0"
+            max="2000"
+            step="10"
+            value={fadeIn}
+            onChange={(e) => setFades({ fadeIn: parseInt(e.target.value, 10) })}
+            onDoubleClick={() => setFades({ fadeIn: 10 })}
+          />
+          <label className="reverb-slider-label">Out: {fadeOut} ms</label>
+          <input
+            type="range"
+            className="reverb-slider"
+            min="0"
+            max="2000"
+            step="10"
+            value={fadeOut}
+            onChange={(e) => setFades({ fadeOut: parseInt(e.target.value, 10) })}
+            onDoubleClick={() => setFades({ fadeOut: 50 })}
+          />
+        </div>
+      )}
+    </>
+  );
+}
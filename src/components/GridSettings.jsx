@@ -0,0 +1,65 @@
+import useSoundStore from '../stores/useSoundStore';
+import { TIME_SIGNATURES, QUANTIZE_GRIDS, DEFAULT_TIME_SIGNATURE, DEFAULT_QUANTIZE_GRID, SWING_MIN, SWING_MAX } from '../lib/beatClock';
+
+// Grid per preset: time signature, quantize resolution and swing.
+// showX: visibility per control (share visibleControls)
+export default function GridSettings({ showTimeSignature = true, showGrid = true, showSwing = true }) {
+  const presets = useSoundStore((s) => s.presets);
+  const activePresetId = useSoundStore((s) => s.activePresetId);
+  const activePreset = presets.find((p) => p.id === activePresetId);
+  const timeSignature = activePreset?.timeSignature ?? DEFAULT_TIME_SIGNATURE;
+  const quantizeGrid = activePreset?.quantizeGrid ?? DEFAULT_QUANTIZE_GRID;
+  const swing = activePreset?.swing ?? SWING_MIN;
+
+  const setTimeSignature = useSoundStore((s) => s.setTimeSignature);
+  const setQuantizeGrid = useSoundStore((s) => s.setQuantizeGrid);
+  const setSwing = useSoundStore((s) => s.setSwing);
+
+  if (!showTimeSignature && !showGrid && !showSwing) return null;
+
+  return (
+    <div className="reverb-slider-container grid-settings" onClick={(e) => e.stopPropagation()}>
+      {showTimeSignature && (
+        <select
+          className="reverb-type-select"
+          value={timeSignature}
+          onChange={(e) => setTimeSignature(e.target.value)}
+          title="Time signature"
+        >
+          {TIME_SIGNATURES.map((sig) => (
+            <option key={sig} value={sig}>{sig}</option>
+          ))}
+        </select>
+      )}
+      {showGrid && (
+        <select
+          className="reverb-type-select"
+          value={quantizeGrid}
+          onChange={(e) => setQuantizeGrid(e.target.value)}
+          title="Quantize grid"
+        >
+          {Object.entries(QUANTIZE_GRIDS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      )}
+      {showSwing && (
+        <>
+          <label className="reverb-slider-label" title="Swing on the beat grid (50% = straight)">
+            Swing: {swing}%
+          </label>
+          <input
+            type="range"
+            className="reverb-slider"
+            min={SWING_MIN}
+            max={SWING_MAX}
+            value={swing}
+            disabled={quantizeGrid !== 'beat'}
+            onChange={(e) => setSwing(parseInt(e.target.value, 10))}
+            onDoubleClick={() => setSwing(SWING_MIN)}
+          />
+        </>
+      )}
+    </div>
+  );
+}
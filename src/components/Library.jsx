@@ -1,10 +1,17 @@
-import { useRef, useEffect, useState } from 'react';
+import { useRef, useEffect, useState, useCallback } from 'react';
 import useSoundStore from '../stores/useSoundStore';
-import { useAudioEngine, exportAudioBufferAsWav } from '../hooks/useAudioEngine';
-import { saveToDb, getByIdsFromDb, removeFromDb, getAllPresets, savePreset, deletePreset as deletePresetFromDb, playerDbName } from '../lib/audioDb';
+import { useAudioEngine, exportAudioBufferAsWav, normalizeLUFS, resumeAudioContext, analyzeAudio } from '../hooks/useAudioEngine';
+import { saveToDb, removeFromDb, updateLibraryItem, getAllPresets, savePreset, deletePreset as deletePresetFromDb, playerDbName } from '../lib/audioDb';
+import { useShareLibrary } from '../hooks/useShareLibrary';
+import { guessLoopTempo } from '../lib/tempo';
+import { parseTimeSignature } from '../lib/beatClock';
+import { clampGainTrim } from '../lib/loudness';
 import LibraryItem from './LibraryItem';
 
-export default function Library({ mode = 'admin', sharePresetIds = null, shareId = null }) {
+const PRESET_SAVE_DELAY_MS = 300;
+
+// shareSource (player): { baseUrl, audioNames, audioGainTrims, audioTempos, audioSizes } from the share's meta.json
+export default function Library({ mode = 'admin', sharePresetIds = null, shareId = null, shareSource = null }) {
   const isPlayer = mode === 'player';
   // In player mode, use share-specific IDB for all writes
   const dbName = isPlayer && shareId ? playerDbName(shareId) : undefined;
@@ -15,11 +22,17 @@ export default function Library({ mode = 'admin', sharePresetIds = null, shareId
   const clearLibrary = useSoundStore((s) => s.clearLibrary);
   const addDbIdToPreset = useSoundStore((s) => s.addDbIdToPreset);
   const removeDbIdFromPreset = useSoundStore((s) => s.removeDbIdFromPreset);
+  const placeOrb = useSoundStore((s) => s.placeOrb);
+  const setGainTrim = useSoundStore((s) => s.setGainTrim);
+  const setLibraryItemTempo = useSoundStore((s) => s.setLibraryItemTempo);
+  const setBpm = useSoundStore((s) => s.setBpm);
 
   // Presets
   const presets = useSoundStore((s) => s.presets);
   const activePresetId = useSoundStore((s) => s.activePresetId);
   const activePreset = presets.find((p) => p.id === activePresetId);
+  // Loop lengths are counted in bars of the preset's time signature
+  const beatsPerBar = parseTimeSignature(activePreset?.timeSignature).barQuarters;
   const createPreset = useSoundStore((s) => s.createPreset);
   const switchPreset = useSoundStore((s) => s.switchPreset);
   const renamePreset = useSoundStore((s) => s.renamePreset);
@@ -27,8 +40,13 @@ export default function Library({ mode = 'admin', sharePresetIds = null, shareId
   const loadPresets = useSoundStore((s) => s.loadPresets);
   const setBackgroundImage = useSoundStore((s) => s.setBackgroundImage);
   const removeBackgroundImage = useSoundStore((s) => s.removeBackgroundImage);
+  const toggleNormalize = useSoundStore((s) => s.toggleNormalize);
+  const setNormalizeTarget = useSoundStore((s) => s.setNormalizeTarget);
+  const normalizeEnabled = activePreset?.normalizeEnabled ?? true;
+  const normalizeTarget = activePreset?.normalizeTarget ?? -30;
 
   const { decodeAudio } = useAudioEngine();
+  const { loadPresetLibrary } = useShareLibrary();
   const bgInputRef = useRef(null);
   const [autoExport, setAutoExport] = useState(false);
   const [editingName, setEditingName] = useState(false);
@@ -69,46 +87,102 @@ export default function Library({ mode = 'admin', sharePresetIds = null, shareId
     }
   }, [activePresetId, activePreset, clearLibrary]);
 
+  // Sounds appear one by one; in player mode missing ones are fetched from the share
   async function loadLibraryForPreset(preset) {
     if (!preset.libraryItemDbIds || preset.libraryItemDbIds.length === 0) return;
     try {
-      const items = await getByIdsFromDb(preset.libraryItemDbIds, dbName);
-      for (const item of items) {
-        try {
-          const audioBuffer = await decodeAudio(item.audioData);
-          addToLibrary(item.name, audioBuffer, item.id);
-        } catch (err) {
-          console.error('Failed to restore audio:', item.name, err);
-        }
-      }
-      console.log(`[Library] Loaded ${items.length} items for preset "${preset.name}"`);
+      await loadPresetLibrary(preset, { ...shareSource, dbName });
     } catch (err) {
       console.error('Failed to load library for preset:', err);
     }
   }
 
-  // Persist preset to IndexedDB whenever it changes
+  // Persist preset to IndexedDB when it changes (not during take playback), debounced so slider and
+  // gesture bursts become one write. Writes are chained so they land in order;
+  // a pending write is flushed on preset switch, unmount and page hide.
+  const saveChainRef = useRef(Promise.resolve());
+  const pendingSaveRef = useRef(null); // { preset, timer }
+
+  const queuePresetSave = useCallback((preset) => {
+    saveChainRef.current = saveChainRef.current
+      .then(() => savePreset(preset, dbName))
+      .catch(console.error);
+  }, [dbName]);
+
+  const flushPresetSave = useCallback(() => {
+    const pending = pendingSaveRef.current;
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pendingSaveRef.current = null;
+    queuePresetSave(pending.preset);
+  }, [queuePresetSave]);
+
   useEffect(() => {
-    if (activePreset) {
-      savePreset(activePreset, dbName).catch(console.error);
+    // A replaying take is transient; the scene is put back when it stops
+    if (!activePreset || useSoundStore.getState().scenePlayback) return;
+    const pending = pendingSaveRef.current;
+    if (pending) {
+      if (pending.preset.id !== activePreset.id) flushPresetSave();
+      else clearTimeout(pending.timer);
     }
-  }, [activePreset]);
+    const timer = setTimeout(flushPresetSave, PRESET_SAVE_DELAY_MS);
+    pendingSaveRef.current = { preset: activePreset, timer };
+  }, [activePreset, flushPresetSave]);
+
+  useEffect(() => {
+    window.addEventListener('pagehide', flushPresetSave);
+    return () => {
+      window.removeEventListener('pagehide', flushPresetSave);
+      flushPresetSave();
+    };
+  }, [flushPresetSave]);
 
   const handleFileImport = async (e) => {
     const files = Array.from(e.target.files);
+    // The first sound of an empty preset may set its tempo
+    let suggestBpm = !(activePreset?.libraryItemDbIds?.length > 0);
     for (const file of files) {
       try {
         const arrayBuffer = await file.arrayBuffer();
         const copyForDb = arrayBuffer.slice(0);
-        const audioBuffer = await decodeAudio(arrayBuffer);
+        const { audioBuffer, inputLufs } = await decodeAudio(arrayBuffer);
         const name = file.name.replace(/\.[^/.]+$/, '');
 
-        const dbId = await saveToDb(name, copyForDb, dbName);
-        addToLibrary(name, audioBuffer, dbId);
+        let analysis = null;
+        try {
+          analysis = await analyzeAudio(audioBuffer, beatsPerBar);
+        } catch (err) {
+          console.error('Failed to analyze audio file:', file.name, err);
+        }
+
+        // Loops cut to whole bars get a source BPM, so they follow the preset tempo.
+        // Loops at a fractional BPM don't fit an integer tempo, but the analysis finds them
+        let { sourceBpm = null, loopBars = null } = guessLoopTempo(audioBuffer.duration, beatsPerBar) || {};
+        if (!sourceBpm && analysis?.loopBars) {
+          sourceBpm = analysis.bpm;
+          loopBars = analysis.loopBars;
+        }
+
+        const dbId = await saveToDb(name, copyForDb, dbName, { inputLufs, sourceBpm, loopBars, analysis });
+        addToLibrary(name, audioBuffer, dbId, { inputLufs, sourceBpm, loopBars, analysis });
         addDbIdToPreset(dbId);
 
+        const detectedBpm = Math.round(sourceBpm || analysis?.bpm || 0);
+        if (suggestBpm && detectedBpm) {
+          suggestBpm = false;
+          const currentBpm = useSoundStore.getState().getActivePreset()?.bpm;
+          if (detectedBpm !== currentBpm && confirm(`"${name}" lijkt ${detectedBpm} BPM te zijn. Preset-tempo op ${detectedBpm} BPM zetten?`)) {
+            setBpm(detectedBpm);
+          }
+        }
+
         if (autoExport) {
-          exportAudioBufferAsWav(audioBuffer, `${name}_normalized_-30LUFS.wav`);
+          if (normalizeEnabled) {
+            const normalized = await normalizeLUFS(audioBuffer, normalizeTarget, inputLufs);
+            exportAudioBufferAsWav(normalized, `${name}_normalized_${normalizeTarget}LUFS.wav`);
+          } else {
+            exportAudioBufferAsWav(audioBuffer, `${name}.wav`);
+          }
         }
       } catch (err) {
         console.error('Failed to decode audio file:', file.name, err);
@@ -129,6 +203,24 @@ export default function Library({ mode = 'admin', sharePresetIds = null, shareId
     removeFromLibrary(item.id);
   };
 
+  const handleGainTrim = (item, value) => {
+    const db = clampGainTrim(value);
+    setGainTrim(item.id, db);
+    if (item.dbId) updateLibraryItem(item.dbId, { gainTrim: db }, dbName).catch(console.error);
+  };
+
+  const handleTempo = (item, tempo) => {
+    setLibraryItemTempo(item.id, tempo);
+    if (item.dbId) updateLibraryItem(item.dbId, tempo, dbName).catch(console.error);
+  };
+
+  // Tap-to-add (touch devices have no HTML5 drag-and-drop)
+  const handleAdd = (item) => {
+    resumeAudioContext();
+    const { x, y } = randomCenterSpot();
+    placeOrb(item.id, x, y);
+  };
+
   const handleNewPreset = () => {
     const name = `Preset ${presets.length + 1}`;
     createPreset(name);
@@ -136,7 +228,7 @@ export default function Library({ mode = 'admin', sharePresetIds = null, shareId
     setTimeout(() => {
       const state = useSoundStore.getState();
       const newPreset = state.presets.find((p) => p.id === state.activePresetId);
-      if (newPreset) savePreset(newPreset, dbName).catch(console.error);
+      if (newPreset) queuePresetSave(newPreset);
     }, 50);
   };
 
@@ -299,6 +391,34 @@ export default function Library({ mode = 'admin', sharePresetIds = null, shareId
         </div>
       )}
 
+      {/* Loudness normalization per preset (admin only) */}
+      {!isPlayer && (
+        <div className="library-export-toggle library-normalize">
+          <label>
+            <input
+              type="checkbox"
+              checked={normalizeEnabled}
+              onChange={toggleNormalize}
+            />
+            Normaliseer naar
+          </label>
+          <input
+            type="number"
+            className="library-normalize-input"
+            min="-60"
+            max="-6"
+            step="1"
+            value={normalizeTarget}
+            disabled={!normalizeEnabled}
+            onChange={(e) => {
+              const value = parseInt(e.target.value, 10);
+              if (!isNaN(value)) setNormalizeTarget(value);
+            }}
+          />
+          <span>LUFS</span>
+        </div>
+      )}
+
       <div className="library-list">
         {libraryItems.length === 0 && (
           <div className="library-empty">
@@ -309,10 +429,22 @@ export default function Library({ mode = 'admin', sharePresetIds = null, shareId
           <LibraryItem
             key={item.id}
             item={item}
+            beatsPerBar={beatsPerBar}
             onRemove={() => handleRemove(item)}
+            onAdd={() => handleAdd(item)}
+            onGainTrimChange={isPlayer ? null : (db) => handleGainTrim(item, db)}
+            onTempoChange={isPlayer ? null : (tempo) => handleTempo(item, tempo)}
           />
         ))}
       </div>
     </div>
   );
 }
+
+// Random field position near the center, inside the neutral filter zone
+function randomCenterSpot() {
+  return {
+    x: 0.5 + (Math.random() - 0.5) * 0.4,
+    y: 0.5 + (Math.random() - 0.5) * 0.16,
+  };
+}
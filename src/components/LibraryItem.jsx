@@ -1,30 +1,154 @@
 import { useRef, useEffect } from 'react';
+import { barsToBpm, bpmToBars } from '../lib/tempo';
+import { GAIN_TRIM_MAX } from '../lib/loudness';
 
-export default function LibraryItem({ item, onRemove }) {
+// onGainTrimChange / onTempoChange: null = shown read-only
+// beatsPerBar: quarter notes per bar of the preset (see lib/tempo)
+export default function LibraryItem({ item, beatsPerBar, onRemove, onAdd, onGainTrimChange = null, onTempoChange = null }) {
   const canvasRef = useRef(null);
+  const pointerTypeRef = useRef(null); // of the press that leads to the click
 
   useEffect(() => {
     drawWaveform(canvasRef.current, item.audioBuffer);
   }, [item.audioBuffer]);
 
+  // BPM and bar count describe the same loop length: editing one derives the other
+  const duration = item.audioBuffer?.duration || 0;
+  const handleBpmChange = (value) => {
+    const bpm = parseFloat(value);
+    if (!value || !(bpm > 0)) {
+      onTempoChange({ sourceBpm: null, loopBars: null });
+      return;
+    }
+    onTempoChange({ sourceBpm: bpm, loopBars: duration ? bpmToBars(duration, bpm, beatsPerBar) : null });
+  };
+  const handleBarsChange = (value) => {
+    const bars = parseInt(value, 10);
+    if (!(bars >= 1) || !duration) return;
+    onTempoChange({ sourceBpm: Math.round(barsToBpm(duration, bars, beatsPerBar) * 100) / 100, loopBars: bars });
+  };
+
+  // Tap adds (touch and pen have no HTML5 drag-and-drop); a mouse drags to place,
+  // so a mouse click only selects/focuses
+  const handleClick = () => {
+    if (item.loading || pointerTypeRef.current === 'mouse') return;
+    onAdd();
+  };
+
   const handleDragStart = (e) => {
+    if (item.loading) {
+      e.preventDefault();
+      return;
+    }
     e.dataTransfer.setData('soundId', String(item.id));
     e.dataTransfer.effectAllowed = 'copy';
   };
 
   return (
     <div
-      className="library-item"
-      draggable
+      className={`library-item ${item.loading ? 'loading' : ''}`}
+      draggable={!item.loading}
       onDragStart={handleDragStart}
+      onPointerDown={(e) => { pointerTypeRef.current = e.pointerType; }}
+      onClick={handleClick}
+      title={item.loading ? 'Loading…' : 'Drag onto the field (tap on touch screens)'}
     >
-      <canvas ref={canvasRef} className="waveform-canvas" width={120} height={32} />
+      {item.loading ? (
+        <div className="library-item-progress">
+          <div className="library-item-progress-fill" style={{ width: `${(item.progress || 0) * 100}%` }} />
+          <span className="library-item-progress-text">
+            {item.progress >= 1 ? 'Analyseren…' : `${Math.round((item.progress || 0) * 100)}%`}
+          </span>
+        </div>
+      ) : (
+        <canvas ref={canvasRef} className="waveform-canvas" width={120} height={32} />
+      )}
       <span className="library-item-name">{item.name}</span>
-      <button className="library-item-remove" onClick={onRemove}>×</button>
+      <span className="library-item-level" onClick={(e) => e.stopPropagation()}>
+        <span className="library-item-lufs" title="Measured input loudness">
+          {item.inputLufs != null && isFinite(item.inputLufs) ? `${item.inputLufs.toFixed(1)} LUFS` : '– LUFS'}
+        </span>
+        {onGainTrimChange ? (
+          <input
+            type="number"
+            className="library-item-trim"
+            min={-GAIN_TRIM_MAX}
+            max={GAIN_TRIM_MAX}
+            step="0.5"
+            value={item.gainTrim ?? 0}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (!isNaN(value)) onGainTrimChange(value);
+            }}
+            title="Gain trim (dB)"
+          />
+        ) : (
+          item.gainTrim ? <span className="library-item-trim-value">{item.gainTrim > 0 ? '+' : ''}{item.gainTrim} dB</span> : null
+        )}
+        {onTempoChange && !item.loading ? (
+          <span className="library-item-tempo" title="Loop tempo (BPM) and length (bars) — empty = not synced">
+            <input
+              type="number"
+              className="library-item-trim"
+              min="40"
+              max="300"
+              step="0.01"
+              placeholder="BPM"
+              value={item.sourceBpm ?? ''}
+              onChange={(e) => handleBpmChange(e.target.value)}
+            />
+            <input
+              type="number"
+              className="library-item-trim library-item-bars"
+              min="1"
+              max="64"
+              step="1"
+              placeholder="bars"
+              value={item.loopBars ?? ''}
+              onChange={(e) => handleBarsChange(e.target.value)}
+            />
+          </span>
+        ) : (
+          item.sourceBpm ? (
+            <span className="library-item-trim-value">
+              {item.sourceBpm} BPM{item.loopBars ? ` · ${item.loopBars} bars` : ''}
+            </span>
+          ) : null
+        )}
+        {item.analysis && (item.analysis.bpm || item.analysis.key) ? (
+          <span className="library-item-analysis" title={describeAnalysis(item.analysis)}>
+            {[item.analysis.bpm ? `♩ ${Math.round(item.analysis.bpm)}` : null, item.analysis.key ? shortKey(item.analysis.key) : null]
+              .filter(Boolean)
+              .join(' · ')}
+          </span>
+        ) : null}
+      </span>
+      <button
+        className="library-item-remove"
+        onClick={(e) => {
+          e.stopPropagation();
+          onRemove();
+        }}
+      >
+        ×
+      </button>
     </div>
   );
 }
 
+// 'A minor' → 'Am', 'C major' → 'C'
+function shortKey(key) {
+  const [tonic, mode] = key.split(' ');
+  return mode === 'minor' ? `${tonic}m` : tonic;
+}
+
+function describeAnalysis({ bpm, bpmConfidence, loopBars, key, keyConfidence }) {
+  const parts = ['Detected on import'];
+  if (bpm) parts.push(`${bpm} BPM (${Math.round(bpmConfidence * 100)}%)${loopBars ? `, ${loopBars} bars` : ''}`);
+  if (key) parts.push(`${key} (${Math.round(keyConfidence * 100)}%)`);
+  return parts.join(' — ');
+}
+
 function drawWaveform(canvas, audioBuffer) {
   if (!canvas || !audioBuffer) return;
   const ctx = canvas.getContext('2d');
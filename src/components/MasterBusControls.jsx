@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import useSoundStore from '../stores/useSoundStore';
+
+const EQ_BANDS = [
+  { key: 'eqLow', label: 'Low' },
+  { key: 'eqMid', label: 'Mid' },
+  { key: 'eqHigh', label: 'High' },
+];
+
+function formatDb(db) {
+  return `${db > 0 ? '+' : ''}${db.toFixed(1)} dB`;
+}
+
+// Master bus per preset: output volume, 3-band EQ and limiter on/off
+export default function MasterBusControls() {
+  const [open, setOpen] = useState(false);
+
+  const presets = useSoundStore((s) => s.presets);
+  const activePresetId = useSoundStore((s) => s.activePresetId);
+  const activePreset = presets.find((p) => p.id === activePresetId);
+  const masterVolume = activePreset?.masterVolume ?? 0;
+  const limiterEnabled = activePreset?.limiterEnabled ?? true;
+
+  const setMasterVolume = useSoundStore((s) => s.setMasterVolume);
+  const setMasterEq = useSoundStore((s) => s.setMasterEq);
+  const toggleLimiter = useSoundStore((s) => s.toggleLimiter);
+
+  return (
+    <>
+      <button
+        className={`control-button ${open ? 'active' : ''}`}
+        onClick={(e) => {
+          e.stopPropagation();
+          setOpen(!open);
+        }}
+        title={open ? 'Hide master bus' : 'Show master bus'}
+      >
+        🎚 MASTER
+      </button>
+
+      {open && (
+        <>
+          <div className="reverb-slider-container" onClick={(e) => e.stopPropagation()}>
+            <label className="reverb-slider-label">
+              Vol: {formatDb(masterVolume)}
+            </label>
+            <input
+              type="range"
+              className="reverb-slider"
+              min="-240"
+              max="60"
+              value={Math.round(masterVolume * 10)}
+              onChange={(e) => setMasterVolume(parseInt(e.target.value, 10) / 10)}
+              onDoubleClick={() => setMasterVolume(0)}
+            />
+          </div>
+
+          <div className="reverb-slider-container master-eq" onClick={(e) => e.stopPropagation()}>
+            {EQ_BANDS.map(({ key, label }) => {
+              const value = activePreset?.[key] ?? 0;
+              return (
+                <label key={key} className="master-eq-band" title={`${label}: ${formatDb(value)}`}>
+                  <span className="reverb-slider-label">{label}</span>
+                  <input
+                    type="range"
+                    className="reverb-slider master-eq-slider"
+                    min="-120"
+                    max="120"
+                    value={Math.round(value * 10)}
+                    onChange={(e) => setMasterEq(key, parseInt(e.target.value, 10) / 10)}
+                    onDoubleClick={() => setMasterEq(key, 0)}
+                  />
+                </label>
+              );
+            })}
+          </div>
+
+          <button
+            className={`control-button ${limiterEnabled ? 'active' : ''}`}
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleLimiter();
+            }}
+            title={limiterEnabled ? 'Disable limiter' : 'Enable limiter'}
+          >
+            {limiterEnabled ? 'LIMIT ON' : 'LIMIT OFF'}
+          </button>
+        </>
+      )}
+    </>
+  );
+}
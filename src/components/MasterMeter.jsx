@@ -1,72 +1,73 @@
 import { useRef, useEffect, useState } from 'react';
-import { getMasterAnalyser } from '../hooks/useAudioEngine';
+import { startLoudnessMeter, stopLoudnessMeter, resetLoudnessMeter } from '../hooks/useAudioEngine';
+import MasterRecorder from './MasterRecorder';
 
+const formatValue = (value) => (value > -100 ? value.toFixed(1) : '-∞');
+
+// BS.1770 loudness meter: bar = momentary LUFS, lines = oversampled true-peak
 export default function MasterMeter() {
   const canvasRef = useRef(null);
-  const animRef = useRef(null);
   const peakRef = useRef(-Infinity);
   const peakHoldRef = useRef(0);
-  const [dbValue, setDbValue] = useState(-Infinity);
+  const [reading, setReading] = useState(null);
 
   useEffect(() => {
-    let running = true;
-    const analyser = getMasterAnalyser();
-    const dataArray = new Float32Array(analyser.fftSize);
-
-    const draw = () => {
-      if (!running) return;
-
-      analyser.getFloatTimeDomainData(dataArray);
-
-      // Compute RMS
-      let sum = 0;
-      let peak = 0;
-      for (let i = 0; i < dataArray.length; i++) {
-        const abs = Math.abs(dataArray[i]);
-        sum += dataArray[i] * dataArray[i];
-        if (abs > peak) peak = abs;
-      }
-      const rms = Math.sqrt(sum / dataArray.length);
-
-      // Convert to dBFS
-      const rmsDb = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
-      const peakDb = peak > 0 ? 20 * Math.log10(peak) : -Infinity;
-
+    // Readings arrive every 100ms from the loudness worklet
+    startLoudnessMeter((r) => {
       // Peak hold with decay
-      if (peakDb > peakRef.current) {
-        peakRef.current = peakDb;
-        peakHoldRef.current = 60; // hold for 60 frames (~1s)
+      if (r.truePeak > peakRef.current) {
+        peakRef.current = r.truePeak;
+        peakHoldRef.current = 10; // hold for 10 readings (~1s)
       } else if (peakHoldRef.current > 0) {
         peakHoldRef.current--;
       } else {
-        peakRef.current = Math.max(peakRef.current - 0.5, peakDb);
+        peakRef.current = Math.max(peakRef.current - 1.5, r.truePeak);
       }
 
-      setDbValue(rmsDb);
-      drawMeter(canvasRef.current, rmsDb, peakDb, peakRef.current);
-
-      animRef.current = requestAnimationFrame(draw);
-    };
-    draw();
+      setReading(r);
+      drawMeter(canvasRef.current, r.momentary, r.truePeak, peakRef.current);
+    }).catch((err) => console.error('Failed to start loudness meter:', err));
 
-    return () => {
-      running = false;
-      if (animRef.current) cancelAnimationFrame(animRef.current);
-    };
+    return () => stopLoudnessMeter();
   }, []);
 
-  const displayDb = dbValue > -100 ? dbValue.toFixed(1) : '-∞';
-
   return (
     <div className="master-meter">
-      <div className="meter-label">dBFS</div>
+      <div className="meter-label">LUFS</div>
       <canvas ref={canvasRef} width={32} height={300} className="meter-canvas" />
-      <div className="meter-value">{displayDb}</div>
+      <div className="meter-readings">
+        <div className="meter-reading" title="Momentary loudness (400ms)">
+          <span>M</span>{formatValue(reading?.momentary ?? -Infinity)}
+        </div>
+        <div className="meter-reading" title="Short-term loudness (3s)">
+          <span>S</span>{formatValue(reading?.shortTerm ?? -Infinity)}
+        </div>
+        <div className="meter-reading" title="Integrated loudness since reset">
+          <span>I</span>{formatValue(reading?.integrated ?? -Infinity)}
+        </div>
+        <div
+          className={`meter-reading ${(reading?.truePeakMax ?? -Infinity) > -1 ? 'clip' : ''}`}
+          title="Max true-peak since reset (dBTP)"
+        >
+          <span>TP</span>{formatValue(reading?.truePeakMax ?? -Infinity)}
+        </div>
+      </div>
+      <button
+        className="meter-reset"
+        onClick={() => {
+          resetLoudnessMeter();
+          peakRef.current = -Infinity;
+        }}
+        title="Reset integrated loudness and true-peak"
+      >
+        ↺
+      </button>
+      <MasterRecorder />
     </div>
   );
 }
 
-function drawMeter(canvas, rmsDb, peakDb, peakHold) {
+function drawMeter(canvas, loudness, peakDb, peakHold) {
   if (!canvas) return;
   const ctx = canvas.getContext('2d');
   const w = canvas.width;
@@ -100,8 +101,8 @@ function drawMeter(canvas, rmsDb, peakDb, peakHold) {
     ctx.fillText(`${db}`, w - 2, y - 2);
   }
 
-  // RMS bar
-  const rmsY = dbToY(rmsDb);
+  // Loudness bar
+  const rmsY = dbToY(loudness);
   const barX = 4;
   const barW = 14;
 
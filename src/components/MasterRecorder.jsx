@@ -0,0 +1,82 @@
+import { useState, useRef, useEffect } from 'react';
+import { startMasterCapture, stopMasterCapture, exportChannelsAsWav, resumeAudioContext } from '../hooks/useAudioEngine';
+
+// Record the live master output and download it as WAV when stopped
+export default function MasterRecorder({ filenamePrefix = 'mix' }) {
+  const [isRecording, setIsRecording] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [seconds, setSeconds] = useState(0);
+  const [peakDb, setPeakDb] = useState(-Infinity);
+  const recordingRef = useRef(false);
+
+  // Stop (and discard) a running capture on unmount
+  useEffect(() => {
+    return () => {
+      if (recordingRef.current) stopMasterCapture().catch(console.error);
+    };
+  }, []);
+
+  const handleStart = async () => {
+    resumeAudioContext();
+    setBusy(true);
+    try {
+      setSeconds(0);
+      setPeakDb(-Infinity);
+      await startMasterCapture(({ seconds, peak }) => {
+        setSeconds(seconds);
+        setPeakDb(peak > 0 ? 20 * Math.log10(peak) : -Infinity);
+      });
+      recordingRef.current = true;
+      setIsRecording(true);
+    } catch (err) {
+      console.error('Failed to start recording:', err);
+      alert('Opnemen wordt niet ondersteund in deze browser.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStop = async () => {
+    setBusy(true);
+    try {
+      recordingRef.current = false;
+      setIsRecording(false);
+      const result = await stopMasterCapture();
+      if (result && result.channels[0].length > 0) {
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+        exportChannelsAsWav(result.channels, result.sampleRate, `${filenamePrefix}_${stamp}.wav`);
+      }
+    } catch (err) {
+      console.error('Failed to stop recording:', err);
+      alert('Fout bij het opslaan van de opname.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  const elapsed = `${minutes}:${String(secs).padStart(2, '0')}`;
+  // Level bar: -60..0 dBFS
+  const level = Math.max(0, Math.min(1, (peakDb + 60) / 60));
+
+  return (
+    <div className={`master-recorder ${isRecording ? 'recording' : ''}`}>
+      <button
+        className="master-recorder-btn"
+        onClick={isRecording ? handleStop : handleStart}
+        disabled={busy}
+        title={isRecording ? 'Stop and save WAV' : 'Record the mix'}
+      >
+        {isRecording ? '■' : '●'}
+      </button>
+      <div className="master-recorder-time">{elapsed}</div>
+      <div className="master-recorder-level">
+        <div
+          className={`master-recorder-level-fill ${peakDb > -0.1 ? 'clip' : ''}`}
+          style={{ width: `${level * 100}%` }}
+        />
+      </div>
+    </div>
+  );
+}
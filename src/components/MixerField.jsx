@@ -1,29 +1,40 @@
 import { useRef, useCallback, useEffect, useState } from 'react';
 import useSoundStore from '../stores/useSoundStore';
-import { useAudioEngine, resumeAudioContext, updateReverbGlobalGain } from '../hooks/useAudioEngine';
-import { getNextBarTime, resetBeatClock } from '../lib/beatClock';
+import { useAudioEngine, resumeAudioContext, getItemGain, getItemPlaybackRate, updateReverbGlobalGain, updateReverbImpulse, updateMasterBus, decodeImpulseResponse, renderMixOffline, exportAudioBufferAsWav } from '../hooks/useAudioEngine';
+import { getImpulse } from '../lib/audioDb';
+import { resetBeatClock } from '../lib/beatClock';
 import SoundOrb from './SoundOrb';
 import FilterCurve from './FilterCurve';
+import SessionRecorder from './SessionRecorder';
+import ReverbSettings from './ReverbSettings';
+import MasterBusControls from './MasterBusControls';
+import GridSettings from './GridSettings';
+import FadeSettings from './FadeSettings';
 
 // We need access to AudioContext for beat clock
 function getAudioContext() {
   return window.__audioCtx || (window.AudioContext && new AudioContext());
 }
 
-export default function MixerField({ mode = 'admin', visibleControls = null, showOrbRemove = true }) {
+export default function MixerField({ mode = 'admin', visibleControls = null, showOrbRemove = true, dbName = undefined }) {
   const isPlayer = mode === 'player';
   // Default: all controls visible
   const vc = visibleControls || {
     globalMute: true, reverbToggle: true, reverbSendSlider: true,
-    reverbLpfSlider: true, filterToggle: true, quantizeToggle: true, bpmControl: true,
+    reverbLpfSlider: true, filterToggle: true, quantizeToggle: true, quantizeMuteToggle: true, fades: true, timeSignature: true, quantizeGrid: true, swing: true,
+    tempoSyncToggle: true, songPositionToggle: true, bpmControl: true,
+    recorder: true, reverbType: true, masterBus: true,
   };
   const fieldRef = useRef(null);
   const orbs = useSoundStore((s) => s.orbs);
+  const libraryItems = useSoundStore((s) => s.libraryItems);
   const globalMuted = useSoundStore((s) => s.globalMuted);
+  const globalMuteAt = useSoundStore((s) => s.globalMuteAt);
   const toggleGlobalMute = useSoundStore((s) => s.toggleGlobalMute);
-  const addOrb = useSoundStore((s) => s.addOrb);
+  const placeOrb = useSoundStore((s) => s.placeOrb);
   const updateOrb = useSoundStore((s) => s.updateOrb);
-  const removeOrb = useSoundStore((s) => s.removeOrb);
+  const commitOrbLayout = useSoundStore((s) => s.commitOrbLayout);
+  const scheduleRemoveOrb = useSoundStore((s) => s.scheduleRemoveOrb);
   const toggleMute = useSoundStore((s) => s.toggleMute);
 
   // Preset-based settings (read from active preset via selectors)
@@ -32,14 +43,34 @@ export default function MixerField({ mode = 'admin', visibleControls = null, sho
   const activePreset = presets.find((p) => p.id === activePresetId);
   const bpm = activePreset?.bpm || 120;
   const quantizeEnabled = activePreset?.quantizeEnabled ?? true;
+  const quantizeMute = activePreset?.quantizeMute ?? false;
+  const fadeIn = (activePreset?.fadeIn ?? 10) / 1000; // s
+  const fadeOut = (activePreset?.fadeOut ?? 50) / 1000;
+  const timeSignature = activePreset?.timeSignature;
+  const tempoSync = activePreset?.tempoSync ?? true;
+  const songPosition = activePreset?.songPosition ?? true;
   const reverbEnabled = activePreset?.reverbEnabled ?? false;
   const reverbSendLevel = activePreset?.reverbSendLevel ?? 0.5;
   const reverbLpfFreq = activePreset?.reverbLpfFreq ?? 3500;
+  const reverbType = activePreset?.reverbType ?? 'hall';
+  const reverbDecay = activePreset?.reverbDecay ?? 1.5;
+  const reverbPreDelay = activePreset?.reverbPreDelay ?? 0;
+  const reverbIrDbId = activePreset?.reverbIrDbId ?? null;
   const filterEnabled = activePreset?.filterEnabled ?? true;
+  const masterVolume = activePreset?.masterVolume ?? 0;
+  const eqLow = activePreset?.eqLow ?? 0;
+  const eqMid = activePreset?.eqMid ?? 0;
+  const eqHigh = activePreset?.eqHigh ?? 0;
+  const limiterEnabled = activePreset?.limiterEnabled ?? true;
+  const normalizeEnabled = activePreset?.normalizeEnabled ?? true;
+  const normalizeTarget = activePreset?.normalizeTarget ?? -30;
   const backgroundImage = activePreset?.backgroundImage ?? null;
 
   const setBpm = useSoundStore((s) => s.setBpm);
   const toggleQuantize = useSoundStore((s) => s.toggleQuantize);
+  const toggleQuantizeMute = useSoundStore((s) => s.toggleQuantizeMute);
+  const toggleTempoSync = useSoundStore((s) => s.toggleTempoSync);
+  const toggleSongPosition = useSoundStore((s) => s.toggleSongPosition);
   const toggleReverb = useSoundStore((s) => s.toggleReverb);
   const setReverbSendLevel = useSoundStore((s) => s.setReverbSendLevel);
   const setReverbLpfFreq = useSoundStore((s) => s.setReverbLpfFreq);
@@ -49,6 +80,7 @@ export default function MixerField({ mode = 'admin', visibleControls = null, sho
 
   const [selectedOrbId, setSelectedOrbId] = useState(null);
   const [bpmInput, setBpmInput] = useState(String(bpm));
+  const [bouncing, setBouncing] = useState(false);
 
   // Keep bpmInput in sync with store bpm
   useEffect(() => {
@@ -57,32 +89,68 @@ export default function MixerField({ mode = 'admin', visibleControls = null, sho
 
   // Track active orbs for audio start/stop
   const activeOrbsRef = useRef(new Set());
-  // Track scheduled start times for waiting orbs
-  const scheduledStartsRef = useRef(new Map());
+
+  // Normalization × gain trim of the sound behind an orb
+  const getOrbItemGain = useCallback((orb) => {
+    const item = libraryItems.find((i) => i.id === orb.soundId);
+    return getItemGain(item, { normalizeEnabled, normalizeTarget });
+  }, [libraryItems, normalizeEnabled, normalizeTarget]);
+
+  // Tempo sync of the sound behind an orb to the preset BPM
+  const getOrbPlaybackRate = useCallback((orb) => {
+    const item = libraryItems.find((i) => i.id === orb.soundId);
+    return getItemPlaybackRate(item, { bpm, tempoSync });
+  }, [libraryItems, bpm, tempoSync]);
 
   // Sync reverb global gain with store state
   useEffect(() => {
-    updateReverbGlobalGain(reverbEnabled && !globalMuted, reverbSendLevel);
+    updateReverbGlobalGain(reverbEnabled && !globalMuted, reverbSendLevel, useSoundStore.getState().globalMuteAt);
   }, [reverbEnabled, reverbSendLevel, globalMuted]);
 
+  // Load the preset's reverb room (procedural or uploaded IR) into the shared convolver
+  useEffect(() => {
+    if (!reverbEnabled) return;
+    let cancelled = false;
+    (async () => {
+      let customIr = null;
+      if (reverbType === 'custom' && reverbIrDbId != null) {
+        const item = await getImpulse(reverbIrDbId, dbName);
+        if (item) customIr = await decodeImpulseResponse(item.audioData);
+      }
+      if (!cancelled) {
+        updateReverbImpulse({ type: reverbType, decay: reverbDecay, preDelay: reverbPreDelay }, customIr);
+      }
+    })().catch((err) => console.error('Failed to load reverb IR:', err));
+    return () => { cancelled = true; };
+  }, [reverbEnabled, reverbType, reverbDecay, reverbPreDelay, reverbIrDbId, dbName]);
+
+  // Sync master bus (volume, EQ, limiter) with the active preset
+  useEffect(() => {
+    updateMasterBus({ masterVolume, eqLow, eqMid, eqHigh, limiterEnabled });
+  }, [masterVolume, eqLow, eqMid, eqHigh, limiterEnabled]);
+
   useEffect(() => {
     const currentIds = new Set(orbs.map((o) => o.id));
 
+    // Starting from silence (first drop or a restored preset layout) puts the
+    // beat grid on that moment, so song positions and later drops count from it
+    if (activeOrbsRef.current.size === 0 && orbs.length > 0 && window.__audioCtx) {
+      resetBeatClock(window.__audioCtx);
+    }
+
     // Start new orbs
     for (const orb of orbs) {
       if (!activeOrbsRef.current.has(orb.id)) {
-        const startAt = scheduledStartsRef.current.get(orb.id) || null;
-        startSound(orb.id, orb.audioBuffer, orb.x, orb.y, orb.size, orb.muted || globalMuted, startAt, filterEnabled, reverbLpfFreq);
+        const startAt = orb.startAt || null;
+        startSound(orb.id, orb.audioBuffer, orb.x, orb.y, orb.size, orb.muted || globalMuted, startAt, filterEnabled, reverbLpfFreq, getOrbItemGain(orb), getOrbPlaybackRate(orb), songPosition ? bpm : null, fadeIn);
         activeOrbsRef.current.add(orb.id);
 
         // If quantized, set up timer to clear "waiting" state
         if (startAt) {
-          const ctx = document.querySelector('audio')?.context || window.__audioCtx;
           // Use a simple timeout based on delay
           const delayMs = Math.max(0, (startAt - (window.__audioCtx?.currentTime || 0)) * 1000);
           setTimeout(() => {
-            updateOrb(orb.id, { waiting: false });
-            scheduledStartsRef.current.delete(orb.id);
+            updateOrb(orb.id, { waiting: false, startAt: null });
           }, delayMs);
         }
       }
@@ -91,19 +159,20 @@ export default function MixerField({ mode = 'admin', visibleControls = null, sho
     // Stop removed orbs
     for (const id of activeOrbsRef.current) {
       if (!currentIds.has(id)) {
-        stopSound(id);
+        stopSound(id, { fadeOut });
         activeOrbsRef.current.delete(id);
-        scheduledStartsRef.current.delete(id);
       }
     }
-  }, [orbs, startSound, stopSound, globalMuted, updateOrb, filterEnabled, reverbLpfFreq]);
+  }, [orbs, startSound, stopSound, globalMuted, updateOrb, filterEnabled, reverbLpfFreq, getOrbItemGain, getOrbPlaybackRate, songPosition, bpm, fadeIn, fadeOut]);
 
-  // Update audio params when orb position/size/mute changes
+  // Update audio params when orb position/size/mute changes (and loop rates when the BPM does)
   useEffect(() => {
     for (const orb of orbs) {
-      updateSound(orb.id, orb.x, orb.y, orb.size, orb.muted || globalMuted, filterEnabled, reverbLpfFreq);
+      // Pending quantized mute changes (orb or global) take effect at their grid point
+      const at = Math.max(orb.changeAt ?? 0, globalMuteAt ?? 0) || null;
+      updateSound(orb.id, orb.x, orb.y, orb.size, orb.muted || globalMuted, filterEnabled, reverbLpfFreq, getOrbItemGain(orb), getOrbPlaybackRate(orb), { at, fadeIn, fadeOut });
     }
-  }, [orbs, updateSound, globalMuted, filterEnabled, reverbLpfFreq]);
+  }, [orbs, updateSound, globalMuted, globalMuteAt, filterEnabled, reverbLpfFreq, getOrbItemGain, getOrbPlaybackRate, fadeIn, fadeOut]);
 
   // Clear selection if orb is removed
   useEffect(() => {
@@ -127,47 +196,15 @@ export default function MixerField({ mode = 'admin', visibleControls = null, sho
     const rect = fieldRef.current.getBoundingClientRect();
     const x = (e.clientX - rect.left) / rect.width;
     const y = (e.clientY - rect.top) / rect.height;
-
-    if (quantizeEnabled && window.__audioCtx) {
-      if (orbs.length === 0) {
-        // Eerste geluid: start direct, reset beat clock zodat
-        // volgende geluiden synchroniseren op dit moment
-        resetBeatClock(window.__audioCtx);
-        addOrb(soundId, Math.max(0, Math.min(1, x)), Math.max(0, Math.min(1, y)));
-      } else {
-        // Volgend geluid: quantize naar volgende bar
-        const nextBar = getNextBarTime(window.__audioCtx, bpm, 4);
-        addOrbWithSchedule(soundId, x, y, nextBar);
-      }
-    } else {
-      addOrb(soundId, Math.max(0, Math.min(1, x)), Math.max(0, Math.min(1, y)));
-    }
+    placeOrb(soundId, x, y);
   };
 
-  // Add orb with a scheduled start time
-  const addOrbWithSchedule = useCallback((soundId, x, y, startAt) => {
-    // First add the orb in waiting state
-    const store = useSoundStore.getState();
-    const libraryItem = store.libraryItems.find((item) => item.id === soundId);
-    if (!libraryItem) return;
-
-    // We'll add the orb, then immediately get its ID to schedule
-    addOrb(soundId, Math.max(0, Math.min(1, x)), Math.max(0, Math.min(1, y)));
-
-    // Get the newly added orb (last one in the array)
-    const newState = useSoundStore.getState();
-    const newOrb = newState.orbs[newState.orbs.length - 1];
-    if (newOrb) {
-      scheduledStartsRef.current.set(newOrb.id, startAt);
-      updateOrb(newOrb.id, { waiting: true });
-    }
-  }, [addOrb, updateOrb]);
-
+  // Quantized removal: the orb keeps playing until the grid point, then fades out
   const handleRemoveOrb = useCallback((orbId) => {
-    stopSound(orbId);
-    activeOrbsRef.current.delete(orbId);
-    removeOrb(orbId);
-  }, [stopSound, removeOrb]);
+    const changeAt = scheduleRemoveOrb(orbId);
+    stopSound(orbId, { at: changeAt, fadeOut });
+    if (changeAt === null) activeOrbsRef.current.delete(orbId);
+  }, [stopSound, scheduleRemoveOrb, fadeOut]);
 
   const getContainerRect = useCallback(() => {
     return fieldRef.current?.getBoundingClientRect() || { width: 1, height: 1 };
@@ -196,6 +233,33 @@ export default function MixerField({ mode = 'admin', visibleControls = null, sho
     }
   };
 
+  // Offline bounce of the current mix to a stereo WAV download
+  const handleExportMix = async () => {
+    if (orbs.length === 0 || bouncing) return;
+    const input = prompt('Aantal maten om te exporteren:', '8');
+    if (input === null) return;
+    const bars = Math.max(1, Math.min(128, parseInt(input, 10) || 8));
+
+    setBouncing(true);
+    try {
+      const mix = await renderMixOffline(
+        orbs.map((orb) => ({ ...orb, itemGain: getOrbItemGain(orb), playbackRate: getOrbPlaybackRate(orb) })),
+        {
+          bpm, timeSignature, filterEnabled, reverbEnabled, reverbSendLevel, reverbLpfFreq,
+          masterVolume, eqLow, eqMid, eqHigh, limiterEnabled,
+        },
+        bars
+      );
+      const name = activePreset?.name || 'mix';
+      exportAudioBufferAsWav(mix, `${name}_${bars}bars_${bpm}bpm.wav`);
+    } catch (err) {
+      console.error('Failed to bounce mix:', err);
+      alert('Fout bij het exporteren van de mix.');
+    } finally {
+      setBouncing(false);
+    }
+  };
+
   const selectedOrb = orbs.find((o) => o.id === selectedOrbId);
 
   return (
@@ -233,7 +297,7 @@ export default function MixerField({ mode = 'admin', visibleControls = null, sho
         {/* Global mute button */}
         {vc.globalMute && (
           <button
-            className={`control-button ${globalMuted ? 'active' : ''}`}
+            className={`control-button ${globalMuted ? 'active' : ''} ${globalMuteAt ? 'waiting' : ''}`}
             onClick={(e) => {
               e.stopPropagation();
               toggleGlobalMute();
@@ -296,6 +360,11 @@ export default function MixerField({ mode = 'admin', visibleControls = null, sho
           </div>
         )}
 
+        {/* Reverb room (type, decay, pre-delay, uploaded IR) */}
+        {reverbEnabled && vc.reverbType && (
+          <ReverbSettings mode={mode} dbName={dbName} />
+        )}
+
         {/* Filter toggle */}
         {vc.filterToggle && (
           <button
@@ -324,6 +393,75 @@ export default function MixerField({ mode = 'admin', visibleControls = null, sho
           </button>
         )}
 
+        {/* Quantized mute / unmute / removal */}
+        {vc.quantizeMuteToggle && (
+          <button
+            className={`control-button ${quantizeMute ? 'active' : ''}`}
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleQuantizeMute();
+            }}
+            title={quantizeMute ? 'Mute and remove immediately' : 'Mute and remove on the grid'}
+          >
+            {quantizeMute ? '⏱ MUTE ON GRID' : '⏱ MUTE'}
+          </button>
+        )}
+
+        {/* Fade-in / fade-out envelopes */}
+        {vc.fades && <FadeSettings />}
+
+        {/* Time signature, grid resolution and swing */}
+        <GridSettings showTimeSignature={!!vc.timeSignature} showGrid={!!vc.quantizeGrid} showSwing={!!vc.swing} />
+
+        {/* Tempo sync toggle (loops follow the BPM) */}
+        {vc.tempoSyncToggle && (
+          <button
+            className={`control-button ${tempoSync ? 'active' : ''}`}
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleTempoSync();
+            }}
+            title={tempoSync ? 'Play loops at their own tempo' : 'Sync loops to the BPM'}
+          >
+            {tempoSync ? '♩ SYNC ON' : '♩ SYNC'}
+          </button>
+        )}
+
+        {/* Song position (late loops join mid-phrase instead of at their bar 1) */}
+        {vc.songPositionToggle && (
+          <button
+            className={`control-button ${songPosition ? 'active' : ''}`}
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleSongPosition();
+            }}
+            title={songPosition ? 'Start new loops from their first bar' : 'Join new loops at the current phrase position'}
+          >
+            {songPosition ? '↻ PHRASE ON' : '↻ PHRASE'}
+          </button>
+        )}
+
+        {/* Master bus (volume, EQ, limiter) */}
+        {vc.masterBus && <MasterBusControls />}
+
+        {/* Session recorder (automation takes) */}
+        {vc.recorder && <SessionRecorder dbName={dbName} />}
+
+        {/* Export mix (admin only) */}
+        {!isPlayer && orbs.length > 0 && (
+          <button
+            className="control-button"
+            onClick={(e) => {
+              e.stopPropagation();
+              handleExportMix();
+            }}
+            disabled={bouncing}
+            title="Export the mix as WAV"
+          >
+            {bouncing ? '⏳ RENDERING' : '⤓ EXPORT MIX'}
+          </button>
+        )}
+
         {/* BPM control */}
         {vc.bpmControl && (
           <div className="bpm-control" onClick={(e) => e.stopPropagation()}>
@@ -364,6 +502,7 @@ export default function MixerField({ mode = 'admin', visibleControls = null, sho
           orb={orb}
           containerRect={getContainerRect}
           onUpdate={updateOrb}
+          onCommit={commitOrbLayout}
           onRemove={handleRemoveOrb}
           onToggleMute={toggleMute}
           onSelect={handleSelectOrb}
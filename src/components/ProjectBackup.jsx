@@ -0,0 +1,91 @@
+import { useRef, useState } from 'react';
+import { exportProject, importProject } from '../lib/projectBackup';
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Backup / restore of the whole admin project (all IndexedDB stores)
+export default function ProjectBackup() {
+  const fileInputRef = useRef(null);
+  const importModeRef = useRef('merge');
+  const [busy, setBusy] = useState(false);
+
+  const handleExport = async () => {
+    setBusy(true);
+    try {
+      const blob = await exportProject();
+      const date = new Date().toISOString().slice(0, 10);
+      downloadBlob(blob, `visual-sound-mixer-project-${date}.zip`);
+    } catch (err) {
+      console.error('Failed to export project:', err);
+      alert('Fout bij het exporteren van het project.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startImport = (mode) => {
+    if (mode === 'replace' && !confirm(
+      'Het hele project (library, presets, opnames en shares) wordt vervangen door de backup. Doorgaan?'
+    )) {
+      return;
+    }
+    importModeRef.current = mode;
+    fileInputRef.current?.click();
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setBusy(true);
+    try {
+      const { counts, conflicts } = await importProject(file, importModeRef.current);
+      let message = `Project ${importModeRef.current === 'replace' ? 'hersteld' : 'samengevoegd'}: ` +
+        `${counts.library} geluiden, ${counts.presets} presets, ${counts.recordings} opnames, ${counts.shares} shares.`;
+      if (conflicts.length > 0) message += `\n\nConflicten:\n- ${conflicts.join('\n- ')}`;
+      alert(message);
+      // Start fresh from the restored DB
+      window.location.reload();
+    } catch (err) {
+      console.error('Failed to import project:', err);
+      alert(`Kon het project niet importeren: ${err.message}`);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="share-manager project-backup">
+      <div className="share-manager-header">
+        <h3>Project</h3>
+      </div>
+      <div className="project-backup-actions">
+        <button className="share-import-btn" onClick={handleExport} disabled={busy} title="Download alles als één backup-ZIP">
+          {busy ? '...' : '⇩ Export'}
+        </button>
+        <button className="share-import-btn" onClick={() => startImport('merge')} disabled={busy} title="Voeg een backup toe aan dit project">
+          ⇪ Samenvoegen
+        </button>
+        <button className="share-import-btn" onClick={() => startImport('replace')} disabled={busy} title="Vervang dit project door een backup">
+          ⇪ Vervangen
+        </button>
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".zip,application/zip"
+        onChange={handleImport}
+        style={{ display: 'none' }}
+      />
+    </div>
+  );
+}
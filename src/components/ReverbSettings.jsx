@@ -0,0 +1,104 @@
+import { useRef } from 'react';
+import useSoundStore from '../stores/useSoundStore';
+import { decodeImpulseResponse } from '../hooks/useAudioEngine';
+import { saveImpulse } from '../lib/audioDb';
+import { REVERB_TYPES } from '../lib/reverbImpulse';
+
+// Reverb room per preset: procedural type with decay + pre-delay, or an uploaded IR
+export default function ReverbSettings({ mode = 'admin', dbName = undefined }) {
+  const isPlayer = mode === 'player';
+  const fileInputRef = useRef(null);
+
+  const presets = useSoundStore((s) => s.presets);
+  const activePresetId = useSoundStore((s) => s.activePresetId);
+  const activePreset = presets.find((p) => p.id === activePresetId);
+  const reverbType = activePreset?.reverbType ?? 'hall';
+  const reverbDecay = activePreset?.reverbDecay ?? REVERB_TYPES.hall.decay;
+  const reverbPreDelay = activePreset?.reverbPreDelay ?? 0;
+  const reverbIrDbId = activePreset?.reverbIrDbId ?? null;
+  const reverbIrName = activePreset?.reverbIrName ?? null;
+
+  const setReverbType = useSoundStore((s) => s.setReverbType);
+  const setReverbDecay = useSoundStore((s) => s.setReverbDecay);
+  const setReverbPreDelay = useSoundStore((s) => s.setReverbPreDelay);
+  const setReverbImpulse = useSoundStore((s) => s.setReverbImpulse);
+
+  const handleTypeChange = (e) => {
+    if (e.target.value === 'upload') {
+      fileInputRef.current?.click();
+      return;
+    }
+    setReverbType(e.target.value);
+  };
+
+  const handleIrUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const arrayBuffer = await file.arrayBuffer();
+      // Make sure it decodes before storing it
+      await decodeImpulseResponse(arrayBuffer);
+      const name = file.name.replace(/\.[^/.]+$/, '');
+      const dbId = await saveImpulse(name, arrayBuffer, dbName);
+      setReverbImpulse(dbId, name);
+    } catch (err) {
+      console.error('Failed to import impulse response:', file.name, err);
+      alert('Kon de impulse response niet laden.');
+    }
+  };
+
+  return (
+    <div className="reverb-slider-container" onClick={(e) => e.stopPropagation()}>
+      <select
+        className="reverb-type-select"
+        value={reverbType}
+        onChange={handleTypeChange}
+        title="Reverb type"
+      >
+        {Object.entries(REVERB_TYPES).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+        {reverbIrDbId != null && (
+          <option value="custom">IR: {reverbIrName || 'custom'}</option>
+        )}
+        {!isPlayer && <option value="upload">Upload IR…</option>}
+      </select>
+
+      {reverbType !== 'custom' && (
+        <>
+          <label className="reverb-slider-label">
+            Decay: {reverbDecay.toFixed(1)}s
+          </label>
+          <input
+            type="range"
+            className="reverb-slider"
+            min="2"
+            max="100"
+            value={Math.round(reverbDecay * 10)}
+            onChange={(e) => setReverbDecay(parseInt(e.target.value, 10) / 10)}
+          />
+          <label className="reverb-slider-label">
+            Pre: {Math.round(reverbPreDelay)}ms
+          </label>
+          <input
+            type="range"
+            className="reverb-slider"
+            min="0"
+            max="200"
+            value={Math.round(reverbPreDelay)}
+            onChange={(e) => setReverbPreDelay(parseInt(e.target.value, 10))}
+          />
+        </>
+      )}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="audio/wav,audio/*"
+        onChange={handleIrUpload}
+        style={{ display: 'none' }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'react';
+import useSoundStore from '../stores/useSoundStore';
+import { useSessionRecorder } from '../hooks/useSessionRecorder';
+import { saveRecording, getRecordingsForPresets, deleteRecording } from '../lib/audioDb';
+
+// Record / replay / export automation takes for the active preset
+export default function SessionRecorder({ dbName }) {
+  const activePresetId = useSoundStore((s) => s.activePresetId);
+  const { isRecording, isPlaying, startRecording, stopRecording, play, stopPlayback } = useSessionRecorder();
+
+  const [recordings, setRecordings] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+
+  // Load takes for the active preset
+  useEffect(() => {
+    let cancelled = false;
+    getRecordingsForPresets([activePresetId], dbName).then((saved) => {
+      if (cancelled) return;
+      setRecordings(saved);
+      setSelectedId(saved.length > 0 ? saved[saved.length - 1].id : null);
+    }).catch(console.error);
+    return () => { cancelled = true; };
+  }, [activePresetId, dbName]);
+
+  // Called when a take ends (stop button or preset switch)
+  const saveTake = async (take) => {
+    if (take.events.length === 0 && take.initial.orbs.length === 0) return;
+    try {
+      const id = await saveRecording(take, dbName);
+      // Preset may have switched while saving — only list takes of the visible preset
+      if (take.presetId === useSoundStore.getState().activePresetId) {
+        setRecordings((prev) => [...prev, { ...take, id }]);
+        setSelectedId(id);
+      }
+    } catch (err) {
+      console.error('Failed to save recording:', err);
+    }
+  };
+
+  const handleRecord = () => {
+    if (isRecording) {
+      stopRecording();
+    } else {
+      startRecording(`Take ${recordings.length + 1}`, saveTake);
+    }
+  };
+
+  const selected = recordings.find((r) => r.id === selectedId);
+
+  const handlePlay = () => {
+    if (isPlaying) {
+      stopPlayback();
+    } else if (selected) {
+      play(selected);
+    }
+  };
+
+  const handleExport = () => {
+    if (!selected) return;
+    const blob = new Blob([JSON.stringify(selected, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${selected.name}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleDelete = async () => {
+    if (!selected || !confirm(`Opname "${selected.name}" verwijderen?`)) return;
+    try {
+      await deleteRecording(selected.id, dbName);
+      const remaining = recordings.filter((r) => r.id !== selected.id);
+      setRecordings(remaining);
+      setSelectedId(remaining.length > 0 ? remaining[remaining.length - 1].id : null);
+    } catch (err) {
+      console.error('Failed to delete recording:', err);
+    }
+  };
+
+  return (
+    <div className="session-recorder" onClick={(e) => e.stopPropagation()}>
+      <button
+        className={`control-button record-button ${isRecording ? 'active' : ''}`}
+        onClick={handleRecord}
+        disabled={isPlaying}
+        title={isRecording ? 'Stop recording' : 'Record movements'}
+      >
+        {isRecording ? '■ STOP' : '● REC'}
+      </button>
+
+      {recordings.length > 0 && !isRecording && (
+        <>
+          <select
+            className="session-recorder-select"
+            value={selectedId ?? ''}
+            onChange={(e) => setSelectedId(recordings.find((r) => String(r.id) === e.target.value)?.id ?? null)}
+          >
+            {recordings.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.name} ({r.duration.toFixed(0)}s)
+              </option>
+            ))}
+          </select>
+          <button
+            className={`control-button ${isPlaying ? 'active' : ''}`}
+            onClick={handlePlay}
+            title={isPlaying ? 'Stop playback' : 'Play recording'}
+          >
+            {isPlaying ? '■' : '▶'}
+          </button>
+          <button className="control-button" onClick={handleExport} title="Export recording (JSON)">
+            ⤓
+          </button>
+          <button
+            className="control-button"
+            onClick={handleDelete}
+            disabled={selected?.shared}
+            title={selected?.shared ? 'Shared recordings come with the share' : 'Delete recording'}
+          >
+            ×
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,14 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import JSZip from 'jszip';
 import useSoundStore from '../stores/useSoundStore';
-import { saveShare, getAllShares, deleteShareFromDb, getPresetsByIds, getByIdsFromDb } from '../lib/audioDb';
+import { saveShare, getAllShares, deleteShareFromDb, getPresetsByIds, getByIdsFromDb, getRecordingsForPresets, getImpulse } from '../lib/audioDb';
+import { hashArrayBuffer, computeShareVersion } from '../lib/shareVersion';
+import { AUDIO_FORMATS, DEFAULT_AUDIO_FORMAT, encodeShareAudio, isOpusEncodingSupported } from '../lib/audioEncoder';
+import { encodeSharePayload, arrayBufferToBase64, INLINE_SHARE_ELEMENT_ID } from '../lib/shareCodec';
+import { readShareArchive, importShareArchive, decryptShareArchive } from '../lib/shareImport';
+import { getShareStatus, pickShareSchedule, formatShareDate, SHARE_STATUS_LABELS } from '../lib/shareSchedule';
+import { createShareEncryption, unlockShareEncryption, encryptFile, encryptMeta, isEncryptedMeta } from '../lib/shareCrypto';
+import { clampGainTrim } from '../lib/loudness';
 
 const CONTROL_LABELS = {
   globalMute: 'Global Mute',
@@ -10,9 +17,139 @@ const CONTROL_LABELS = {
   reverbLpfSlider: 'Reverb LPF',
   filterToggle: 'Filter Toggle',
   quantizeToggle: 'Quantize Toggle',
+  quantizeMuteToggle: 'Quantized Mute',
+  fades: 'Fades',
+  timeSignature: 'Time Signature',
+  quantizeGrid: 'Quantize Grid',
+  swing: 'Swing',
+  tempoSyncToggle: 'Tempo Sync',
+  songPositionToggle: 'Song Position',
   bpmControl: 'BPM Control',
+  recorder: 'Recorder',
+  reverbType: 'Reverb Type',
+  masterBus: 'Master Bus',
 };
 
+// Inline shares (#inline-… links / single HTML file)
+const INLINE_OPUS_KBPS = 96;
+const INLINE_LINK_WARN = 32 * 1024; // chat and mail apps start cutting links here
+const INLINE_LINK_MAX = 2 * 1024 * 1024; // browsers' URL length limit
+const INLINE_HTML_WARN = 25 * 1024 * 1024;
+
+// Passphrases of protected shares entered this session (share id → passphrase),
+// so they're asked for once — they're never written to IDB or a backup
+const sessionPassphrases = new Map();
+
+function formatSize(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// ISO date ↔ <input type="datetime-local"> value (local time)
+function isoToLocalInput(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function localInputToIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Presets, recorded takes, audio (encoded as requested) and IRs of a share,
+// plus the meta.json describing them
+async function buildShareExport(share, { format = DEFAULT_AUDIO_FORMAT, quality = null, onProgress = () => {} } = {}) {
+  // 1. Get presets from IDB
+  const sharePresets = await getPresetsByIds(share.presetIds);
+
+  // 2. Collect all audio IDs
+  const audioIds = new Set();
+  for (const preset of sharePresets) {
+    for (const dbId of preset.libraryItemDbIds || []) {
+      audioIds.add(dbId);
+    }
+  }
+
+  // 3. Get audio, recorded takes and uploaded reverb IRs from IDB
+  const audioItems = await getByIdsFromDb([...audioIds]);
+  const recordings = await getRecordingsForPresets(share.presetIds);
+  const impulseIds = new Set(
+    sharePresets.map((p) => p.reverbIrDbId).filter((id) => id != null)
+  );
+  const impulses = [];
+  for (const id of impulseIds) {
+    const impulse = await getImpulse(id);
+    if (impulse) impulses.push(impulse);
+  }
+
+  // 4. Re-encode the audio when a compact format is asked for
+  const audioFiles = {};
+  const audioFormats = {};
+  for (const [i, item] of audioItems.entries()) {
+    onProgress(`${i + 1}/${audioItems.length}`);
+    const { data, format: declared } = await encodeShareAudio(item.audioData, { format, quality });
+    audioFiles[item.id] = data;
+    if (declared) audioFormats[item.id] = declared;
+  }
+
+  // 5. meta.json: config + presets + audio name mapping (no audio data)
+  const audioNames = {};
+  const audioGainTrims = {};
+  const audioTempos = {};
+  const audioSizes = {};
+  const audioHashes = {};
+  for (const item of audioItems) {
+    audioNames[item.id] = item.name;
+    audioSizes[item.id] = audioFiles[item.id].byteLength;
+    // Hash the source + encoding, not the encoded bytes: lossy encoders
+    // aren't deterministic and players would re-download on every export
+    audioHashes[item.id] = await hashArrayBuffer(item.audioData);
+    if (audioFormats[item.id]) {
+      const key = `${audioHashes[item.id]}:${JSON.stringify(audioFormats[item.id])}`;
+      audioHashes[item.id] = await hashArrayBuffer(new TextEncoder().encode(key).buffer);
+    }
+    if (item.gainTrim) audioGainTrims[item.id] = clampGainTrim(item.gainTrim);
+    if (item.sourceBpm) audioTempos[item.id] = { sourceBpm: item.sourceBpm, loopBars: item.loopBars ?? null };
+  }
+  const impulseNames = {};
+  for (const impulse of impulses) {
+    impulseNames[impulse.id] = impulse.name;
+  }
+
+  const meta = {
+    name: share.name,
+    visibleControls: share.visibleControls,
+    showLibrary: share.showLibrary,
+    showOrbRemove: share.showOrbRemove,
+    presets: sharePresets.map((p) => ({ ...p, shared: true })),
+    recordings,
+    audioNames,
+    audioGainTrims,
+    audioTempos,
+    audioSizes,
+    audioHashes,
+    audioFormats,
+    impulseNames,
+    ...pickShareSchedule(share),
+  };
+  // Players compare this to detect a republish (see syncPlayerDbWithShare)
+  meta.version = await computeShareVersion(meta);
+  meta.exportedAt = new Date().toISOString();
+
+  return { meta, audioFiles, impulses };
+}
+
 export default function ShareManager() {
   const presets = useSoundStore((s) => s.presets);
   const shares = useSoundStore((s) => s.shares);
@@ -20,6 +157,7 @@ export default function ShareManager() {
   const updateShare = useSoundStore((s) => s.updateShare);
   const deleteShare = useSoundStore((s) => s.deleteShare);
   const loadShares = useSoundStore((s) => s.loadShares);
+  const importShare = useSoundStore((s) => s.importShare);
 
   const [isCreating, setIsCreating] = useState(false);
   const [editingShareId, setEditingShareId] = useState(null);
@@ -32,18 +170,48 @@ export default function ShareManager() {
     reverbLpfSlider: true,
     filterToggle: true,
     quantizeToggle: true,
+    quantizeMuteToggle: true,
+    fades: true,
+    timeSignature: true,
+    quantizeGrid: true,
+    swing: true,
+    tempoSyncToggle: true,
+    songPositionToggle: true,
     bpmControl: true,
+    recorder: true,
+    reverbType: true,
+    masterBus: false,
   });
   const [showLibrary, setShowLibrary] = useState(true);
   const [showOrbRemove, setShowOrbRemove] = useState(true);
+  const [audioFormat, setAudioFormat] = useState(DEFAULT_AUDIO_FORMAT);
+  const [audioQuality, setAudioQuality] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [removePassphrase, setRemovePassphrase] = useState(false);
+  const [validFrom, setValidFrom] = useState(''); // datetime-local values
+  const [validUntil, setValidUntil] = useState('');
+  const [disabled, setDisabled] = useState(false);
+  const [opusSupported, setOpusSupported] = useState(false);
   const [copiedId, setCopiedId] = useState(null);
   const [exporting, setExporting] = useState(null);
+  const [exportProgress, setExportProgress] = useState(null); // "3/12" while encoding
+  const [importing, setImporting] = useState(false);
+  const zipInputRef = useRef(null);
+  const folderInputRef = useRef(null);
 
   // Load shares from IDB on mount
   useEffect(() => {
-    getAllShares().then((saved) => {
-      if (saved.length > 0) loadShares(saved);
+    getAllShares().then(async (saved) => {
+      // Older admins stored the passphrase itself: keep it for this session only
+      const migrated = await Promise.all(saved.map(async (share) => {
+        if (!share.encryption?.passphrase) return share;
+        const { passphrase: stored, salt } = share.encryption;
+        sessionPassphrases.set(share.id, stored);
+        return { ...share, encryption: await createShareEncryption(stored, salt) };
+      }));
+      if (migrated.length > 0) loadShares(migrated);
     }).catch(console.error);
+    isOpusEncodingSupported().then(setOpusSupported);
   }, []);
 
   // Persist shares to IDB
@@ -63,28 +231,98 @@ export default function ShareManager() {
       reverbLpfSlider: true,
       filterToggle: true,
       quantizeToggle: true,
+      quantizeMuteToggle: true,
+      fades: true,
+      timeSignature: true,
+      quantizeGrid: true,
+      swing: true,
+      tempoSyncToggle: true,
+      songPositionToggle: true,
       bpmControl: true,
+      recorder: true,
+      reverbType: true,
+      masterBus: false,
     });
     setShowLibrary(true);
     setShowOrbRemove(true);
+    setAudioFormat(DEFAULT_AUDIO_FORMAT);
+    setAudioQuality(null);
+    setPassphrase('');
+    setRemovePassphrase(false);
+    setValidFrom('');
+    setValidUntil('');
+    setDisabled(false);
     setIsCreating(false);
     setEditingShareId(null);
   };
 
-  const handleCreate = () => {
+  // Keep the salt while the passphrase is unchanged (the key, and so cached files, stay valid).
+  // Editing a protected share: an empty field keeps its passphrase
+  const buildEncryption = async (current, shareId = null) => {
+    if (current && removePassphrase) return null;
+    if (!passphrase) return current ?? null;
+    if (shareId) sessionPassphrases.set(shareId, passphrase);
+    if (current && await unlockShareEncryption(passphrase, current)) return current;
+    return createShareEncryption(passphrase);
+  };
+
+  // Key of a protected share: the passphrase is asked for (once per session)
+  // and checked against the share's settings
+  const unlockShare = async (share) => {
+    const passphrase = sessionPassphrases.get(share.id) ?? prompt(`Wachtwoord van share "${share.name}":`);
+    if (!passphrase) return null;
+    const key = await unlockShareEncryption(passphrase, share.encryption);
+    if (!key) {
+      sessionPassphrases.delete(share.id);
+      alert('Onjuist wachtwoord.');
+      return null;
+    }
+    sessionPassphrases.set(share.id, passphrase);
+    return { key, passphrase };
+  };
+
+  // null when the dates don't make sense
+  const buildSchedule = () => {
+    const schedule = { validFrom: localInputToIso(validFrom), validUntil: localInputToIso(validUntil), disabled };
+    if (schedule.validFrom && schedule.validUntil && schedule.validFrom >= schedule.validUntil) {
+      alert('"Geldig tot" moet na "Geldig vanaf" liggen.');
+      return null;
+    }
+    return schedule;
+  };
+
+  const handleCreate = async () => {
     if (!name.trim() || selectedPresetIds.length === 0) return;
-    createShare(name.trim(), selectedPresetIds, { ...visibleControls }, showLibrary, showOrbRemove);
+    const schedule = buildSchedule();
+    if (!schedule) return;
+    const encryption = await buildEncryption(null);
+    createShare(name.trim(), selectedPresetIds, {
+      visibleControls: { ...visibleControls },
+      showLibrary,
+      showOrbRemove,
+      audioFormat,
+      audioQuality,
+      encryption,
+      ...schedule,
+    });
     resetForm();
   };
 
-  const handleUpdate = () => {
+  const handleUpdate = async () => {
     if (!editingShareId || !name.trim() || selectedPresetIds.length === 0) return;
+    const schedule = buildSchedule();
+    if (!schedule) return;
+    const encryption = await buildEncryption(shares.find((s) => s.id === editingShareId)?.encryption, editingShareId);
     updateShare(editingShareId, {
       name: name.trim(),
       presetIds: selectedPresetIds,
       visibleControls: { ...visibleControls },
       showLibrary,
       showOrbRemove,
+      audioFormat,
+      audioQuality,
+      encryption,
+      ...schedule,
     });
     resetForm();
   };
@@ -96,6 +334,13 @@ export default function ShareManager() {
     setVisibleControls({ ...share.visibleControls });
     setShowLibrary(share.showLibrary ?? true);
     setShowOrbRemove(share.showOrbRemove ?? true);
+    setAudioFormat(share.audioFormat ?? DEFAULT_AUDIO_FORMAT);
+    setAudioQuality(share.audioQuality ?? null);
+    setPassphrase('');
+    setRemovePassphrase(false);
+    setValidFrom(isoToLocalInput(share.validFrom));
+    setValidUntil(isoToLocalInput(share.validUntil));
+    setDisabled(share.disabled ?? false);
     setIsCreating(true);
   };
 
@@ -123,85 +368,254 @@ export default function ShareManager() {
   const exportShare = async (shareId) => {
     const share = shares.find((s) => s.id === shareId);
     if (!share) return;
+    const unlocked = share.encryption ? await unlockShare(share) : null;
+    if (share.encryption && !unlocked) return;
 
     setExporting(shareId);
     try {
-      // 1. Get presets from IDB
-      const sharePresets = await getPresetsByIds(share.presetIds);
-
-      // 2. Collect all audio IDs
-      const audioIds = new Set();
-      for (const preset of sharePresets) {
-        for (const dbId of preset.libraryItemDbIds || []) {
-          audioIds.add(dbId);
-        }
-      }
+      const { meta, audioFiles, impulses } = await buildShareExport(share, {
+        format: share.audioFormat,
+        quality: share.audioQuality,
+        onProgress: setExportProgress,
+      });
 
-      // 3. Get audio from IDB
-      const audioItems = await getByIdsFromDb([...audioIds]);
+      // Password-protected: meta.json and every .bin encrypted (see lib/shareCrypto)
+      const key = unlocked?.key ?? null;
+      const protect = (data, fileName) => (key ? encryptFile(data, key, fileName) : data);
 
-      // 4. Build ZIP
       const zip = new JSZip();
       const folder = zip.folder(share.id);
+      // Availability stays readable outside the envelope, so the player can refuse before asking for the passphrase
+      const metaJson = key ? { ...await encryptMeta(meta, key, share.encryption), ...pickShareSchedule(share) } : meta;
+      folder.file('meta.json', JSON.stringify(metaJson, null, 2));
 
-      // meta.json: config + presets + audio name mapping (no audio data)
-      const audioNames = {};
-      for (const item of audioItems) {
-        audioNames[item.id] = item.name;
+      // Audio files: {dbId}.bin (original or encoded, see meta.audioFormats)
+      for (const [id, data] of Object.entries(audioFiles)) {
+        folder.file(`${id}.bin`, await protect(data, `${id}.bin`));
       }
 
-      const meta = {
-        name: share.name,
-        visibleControls: share.visibleControls,
-        showLibrary: share.showLibrary,
-        showOrbRemove: share.showOrbRemove,
-        presets: sharePresets.map((p) => ({ ...p, shared: true })),
-        audioNames,
-      };
-      folder.file('meta.json', JSON.stringify(meta, null, 2));
-
-      // Audio files: {dbId}.bin (raw binary)
-      for (const item of audioItems) {
-        folder.file(`${item.id}.bin`, item.audioData);
+      // Uploaded reverb IRs: ir-{dbId}.bin
+      for (const impulse of impulses) {
+        folder.file(`ir-${impulse.id}.bin`, await protect(impulse.audioData, `ir-${impulse.id}.bin`));
       }
 
-      // 5. Generate and download ZIP
       const blob = await zip.generateAsync({ type: 'blob' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${share.id}.zip`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      downloadBlob(blob, `${share.id}.zip`);
     } catch (err) {
       console.error('Failed to export share:', err);
       alert('Fout bij het exporteren van de share.');
     } finally {
       setExporting(null);
+      setExportProgress(null);
+    }
+  };
+
+  // Self-contained share: settings, presets and audio packed in one payload
+  const buildInlinePayload = async (share) => {
+    // Inline audio is always compressed; 'original' falls back to Opus (or FLAC)
+    const useShareFormat = share.audioFormat && share.audioFormat !== 'original';
+    const { meta, audioFiles, impulses } = await buildShareExport(share, {
+      format: useShareFormat ? share.audioFormat : (opusSupported ? 'opus' : 'flac'),
+      quality: useShareFormat ? share.audioQuality : INLINE_OPUS_KBPS,
+      onProgress: setExportProgress,
+    });
+
+    const audio = {};
+    for (const [id, data] of Object.entries(audioFiles)) {
+      audio[id] = arrayBufferToBase64(data);
+    }
+    const impulseData = {};
+    for (const impulse of impulses) {
+      impulseData[impulse.id] = arrayBufferToBase64(impulse.audioData);
+    }
+    return encodeSharePayload({ id: share.id, meta, audio, impulses: impulseData });
+  };
+
+  const copyInlineLink = async (shareId) => {
+    const share = shares.find((s) => s.id === shareId);
+    if (!share) return;
+
+    setExporting(shareId);
+    try {
+      const payload = await buildInlinePayload(share);
+      const url = `${window.location.origin}${import.meta.env.BASE_URL}#inline-${payload}`;
+
+      if (url.length > INLINE_LINK_MAX) {
+        alert(
+          `Deze share is te groot voor een inline link (${formatSize(url.length)}, max ${formatSize(INLINE_LINK_MAX)}).\n` +
+          'Download hem als HTML-bestand of gebruik de ZIP-export.'
+        );
+        return;
+      }
+      if (url.length > INLINE_LINK_WARN && !confirm(
+        `De inline link is ${formatSize(url.length)}. Veel chat- en mailapps knippen links ` +
+        `langer dan ${formatSize(INLINE_LINK_WARN)} af. Toch kopiëren?`
+      )) {
+        return;
+      }
+
+      await navigator.clipboard.writeText(url);
+      setCopiedId(`inline-${shareId}`);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      console.error('Failed to build inline share:', err);
+      alert('Fout bij het maken van de inline link.');
+    } finally {
+      setExporting(null);
+      setExportProgress(null);
+    }
+  };
+
+  // Single HTML file: the player page with the payload embedded.
+  // The app code itself still loads from the hosted player.
+  const downloadInlineHtml = async (shareId) => {
+    const share = shares.find((s) => s.id === shareId);
+    if (!share) return;
+
+    setExporting(shareId);
+    try {
+      const payload = await buildInlinePayload(share);
+      if (payload.length > INLINE_HTML_WARN && !confirm(
+        `Het HTML-bestand wordt ${formatSize(payload.length)}. Grote bestanden laden traag ` +
+        'en worden door sommige mailproviders geweigerd. Toch downloaden?'
+      )) {
+        return;
+      }
+
+      const base = `${window.location.origin}${import.meta.env.BASE_URL}`;
+      const response = await fetch(base);
+      if (!response.ok) throw new Error(`Failed to fetch player page (${response.status})`);
+      const html = (await response.text()).replace(
+        '<head>',
+        `<head>\n    <base href="${base}" />\n` +
+        `    <script type="application/json" id="${INLINE_SHARE_ELEMENT_ID}">${payload}</script>`
+      );
+
+      downloadBlob(new Blob([html], { type: 'text/html' }), `${share.id}.html`);
+    } catch (err) {
+      console.error('Failed to build inline share file:', err);
+      alert('Fout bij het maken van het HTML-bestand.');
+    } finally {
+      setExporting(null);
+      setExportProgress(null);
     }
   };
 
-  // Copy the share link to clipboard
-  const copyShareLink = (shareId) => {
+  // Import a share ZIP or unpacked share folder (public/shares/{id}) as new presets + share
+  const handleImport = async (e) => {
+    const input = e.target.files;
+    if (!input || input.length === 0) return;
+    const source = e.target === zipInputRef.current ? input[0] : Array.from(input);
+    e.target.value = '';
+
+    setImporting(true);
+    try {
+      let archive = await readShareArchive(source);
+      let entered = null;
+      if (isEncryptedMeta(archive.meta)) {
+        entered = prompt('Deze share is beveiligd. Wachtwoord:');
+        if (!entered) return;
+        try {
+          archive = await decryptShareArchive(archive, entered);
+        } catch (err) {
+          console.error('Failed to decrypt share:', err);
+          alert('Onjuist wachtwoord.');
+          return;
+        }
+      }
+      const { share, presets, report } = await importShareArchive(archive, useSoundStore.getState().presets);
+      importShare(share, presets);
+      if (entered) sessionPassphrases.set(share.id, entered);
+
+      let message = `Share "${share.name}" geïmporteerd: ${presets.length} preset${presets.length !== 1 ? 's' : ''}, ` +
+        `${report.sounds} nieuwe geluiden` + (report.reused ? `, ${report.reused} al in de library` : '') + '.';
+      if (report.conflicts.length > 0) {
+        message += `\n\nConflicten:\n- ${report.conflicts.join('\n- ')}`;
+      }
+      alert(message);
+    } catch (err) {
+      console.error('Failed to import share:', err);
+      alert('Kon de share niet importeren. Is dit een share-export (ZIP of map met meta.json)?');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Copy the share link to clipboard; a protected share's passphrase can ride
+  // along in the fragment (never sent to the server)
+  const copyShareLink = async (shareId) => {
+    const share = shares.find((s) => s.id === shareId);
     const base = window.location.origin + import.meta.env.BASE_URL;
-    const url = `${base}#share-${shareId}`;
+    let url = `${base}#share-${shareId}`;
+    if (share?.encryption && confirm(
+      'Wachtwoord meenemen in de link?\n\nOK: de link opent de share direct.\nAnnuleren: de ontvanger moet het wachtwoord zelf invullen.'
+    )) {
+      const unlocked = await unlockShare(share);
+      if (!unlocked) return;
+      url += `&key=${encodeURIComponent(unlocked.passphrase)}`;
+    }
     navigator.clipboard.writeText(url).then(() => {
       setCopiedId(shareId);
       setTimeout(() => setCopiedId(null), 2000);
     });
   };
 
+  // Protection of the share being edited (its passphrase isn't stored, so the field starts empty)
+  const editingEncryption = shares.find((s) => s.id === editingShareId)?.encryption ?? null;
+
+  // Status overview (active / scheduled / expired / disabled) of the share definitions
+  const now = Date.now();
+  const statusCounts = {};
+  for (const share of shares) {
+    const status = getShareStatus(share, now);
+    statusCounts[status] = (statusCounts[status] || 0) + 1;
+  }
+  const describeSchedule = (share) => [
+    share.validFrom && `Vanaf ${formatShareDate(share.validFrom)}`,
+    share.validUntil && `Tot ${formatShareDate(share.validUntil)}`,
+  ].filter(Boolean).join('\n') || 'Altijd beschikbaar';
+
   return (
     <div className="share-manager">
       <div className="share-manager-header">
         <h3>Shares</h3>
         {!isCreating && (
-          <button className="share-new-btn" onClick={() => setIsCreating(true)}>
-            + Share
-          </button>
+          <div className="share-header-actions">
+            <button
+              className="share-import-btn"
+              onClick={() => zipInputRef.current?.click()}
+              title="Importeer share-ZIP"
+              disabled={importing}
+            >
+              {importing ? '...' : '⇪ ZIP'}
+            </button>
+            <button
+              className="share-import-btn"
+              onClick={() => folderInputRef.current?.click()}
+              title="Importeer share-map (met meta.json)"
+              disabled={importing}
+            >
+              ⇪ Map
+            </button>
+            <button className="share-new-btn" onClick={() => setIsCreating(true)}>
+              + Share
+            </button>
+          </div>
         )}
+        <input
+          ref={zipInputRef}
+          type="file"
+          accept=".zip,application/zip"
+          onChange={handleImport}
+          style={{ display: 'none' }}
+        />
+        <input
+          ref={folderInputRef}
+          type="file"
+          webkitdirectory=""
+          onChange={handleImport}
+          style={{ display: 'none' }}
+        />
       </div>
 
       {/* Create / Edit form */}
@@ -264,6 +678,84 @@ export default function ShareManager() {
             </label>
           </div>
 
+          <div className="share-section">
+            <label className="share-section-label">Beveiliging</label>
+            <input
+              className="share-name-input"
+              type="text"
+              placeholder={editingEncryption ? 'Nieuw wachtwoord (leeg: ongewijzigd)' : 'Wachtwoord (optioneel)'}
+              autoComplete="off"
+              value={passphrase}
+              disabled={removePassphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+            />
+            {editingEncryption && (
+              <label className="share-checkbox">
+                <input
+                  type="checkbox"
+                  checked={removePassphrase}
+                  onChange={(e) => setRemovePassphrase(e.target.checked)}
+                />
+                Wachtwoord verwijderen
+              </label>
+            )}
+            {(passphrase || (editingEncryption && !removePassphrase)) && (
+              <span className="share-section-hint">
+                meta.json en audio worden versleuteld geëxporteerd (AES-GCM). Inline links zijn dan niet beschikbaar.
+              </span>
+            )}
+          </div>
+
+          <div className="share-section">
+            <label className="share-section-label">Beschikbaarheid</label>
+            <label className="share-date-field">
+              Geldig vanaf
+              <input type="datetime-local" value={validFrom} onChange={(e) => setValidFrom(e.target.value)} />
+            </label>
+            <label className="share-date-field">
+              Geldig tot
+              <input type="datetime-local" value={validUntil} onChange={(e) => setValidUntil(e.target.value)} />
+            </label>
+            <label className="share-checkbox">
+              <input
+                type="checkbox"
+                checked={disabled}
+                onChange={(e) => setDisabled(e.target.checked)}
+              />
+              Uitgeschakeld
+            </label>
+            <span className="share-section-hint">Geldt pas na opnieuw exporteren en publiceren.</span>
+          </div>
+
+          <div className="share-section">
+            <label className="share-section-label">Audio export</label>
+            <div className="share-audio-format">
+              <select
+                value={audioFormat}
+                onChange={(e) => {
+                  setAudioFormat(e.target.value);
+                  setAudioQuality(null);
+                }}
+              >
+                {Object.entries(AUDIO_FORMATS).map(([key, { label }]) => (
+                  <option key={key} value={key} disabled={key === 'opus' && !opusSupported}>
+                    {label}{key === 'opus' && !opusSupported ? ' — niet ondersteund' : ''}
+                  </option>
+                ))}
+              </select>
+              {AUDIO_FORMATS[audioFormat]?.qualities && (
+                <select
+                  value={audioQuality ?? AUDIO_FORMATS[audioFormat].defaultQuality}
+                  onChange={(e) => setAudioQuality(parseInt(e.target.value, 10))}
+                >
+                  {AUDIO_FORMATS[audioFormat].qualities.map((q) => (
+                    <option key={q} value={q}>{AUDIO_FORMATS[audioFormat].qualityLabel(q)}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          </div>
+
           <div className="share-form-actions">
             {editingShareId ? (
               <button className="share-save-btn" onClick={handleUpdate}>Opslaan</button>
@@ -278,12 +770,28 @@ export default function ShareManager() {
       {/* Existing shares list */}
       {shares.length > 0 && !isCreating && (
         <div className="share-list">
+          <div className="share-status-summary">
+            {Object.entries(statusCounts).map(([status, count]) => (
+              <span key={status} className={`share-status share-status-${status}`}>
+                {count} {SHARE_STATUS_LABELS[status].toLowerCase()}
+              </span>
+            ))}
+          </div>
           {shares.map((share) => (
             <div key={share.id} className="share-item">
               <div className="share-item-info">
                 <span className="share-item-name">{share.name}</span>
                 <span className="share-item-meta">
+                  <span
+                    className={`share-status share-status-${getShareStatus(share, now)}`}
+                    title={describeSchedule(share)}
+                  >
+                    {SHARE_STATUS_LABELS[getShareStatus(share, now)]}
+                  </span>
+                  {' · '}
                   {share.presetIds.length} preset{share.presetIds.length !== 1 ? 's' : ''}
+                  {share.audioFormat && share.audioFormat !== 'original' && ` · ${share.audioFormat.toUpperCase()}`}
+                  {share.encryption && ' · 🔒'}
                 </span>
               </div>
               <div className="share-item-actions">
@@ -293,7 +801,7 @@ export default function ShareManager() {
                   title="Exporteer JSON"
                   disabled={exporting === share.id}
                 >
-                  {exporting === share.id ? '...' : '💾'}
+                  {exporting === share.id ? (exportProgress || '...') : '💾'}
                 </button>
                 <button
                   className="share-copy-btn"
@@ -302,6 +810,24 @@ export default function ShareManager() {
                 >
                   {copiedId === share.id ? '✓' : '🔗'}
                 </button>
+                <button
+                  className="share-copy-btn"
+                  onClick={() => copyInlineLink(share.id)}
+                  title={share.encryption
+                    ? 'Niet beschikbaar voor shares met wachtwoord'
+                    : 'Kopieer inline link (alles in de URL, geen upload nodig)'}
+                  disabled={exporting === share.id || !!share.encryption}
+                >
+                  {copiedId === `inline-${share.id}` ? '✓' : '📎'}
+                </button>
+                <button
+                  className="share-export-btn"
+                  onClick={() => downloadInlineHtml(share.id)}
+                  title={share.encryption ? 'Niet beschikbaar voor shares met wachtwoord' : 'Download als los HTML-bestand'}
+                  disabled={exporting === share.id || !!share.encryption}
+                >
+                  📄
+                </button>
                 <button
                   className="share-edit-btn"
                   onClick={() => handleEdit(share)}
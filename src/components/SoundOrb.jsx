@@ -4,10 +4,18 @@ import { useRef, useState, useEffect, useCallback } from 'react';
 const MIN_SIZE = 50;
 const MAX_SIZE = 200;
 
+// Touch long-press: hold time and how far the finger may wander meanwhile
+const LONG_PRESS_MS = 500;
+const LONG_PRESS_SLOP = 10;
+
+// Wheel resizing has no end event: commit once the wheel rests this long
+const WHEEL_COMMIT_MS = 300;
+
 export default function SoundOrb({
   orb,
   containerRect,
   onUpdate,
+  onCommit,
   onRemove,
   onToggleMute,
   onSelect,
@@ -22,6 +30,7 @@ export default function SoundOrb({
   const [isDragging, setIsDragging] = useState(false);
   const [isResizing, setIsResizing] = useState(false);
   const [isHovered, setIsHovered] = useState(false);
+  const [showActions, setShowActions] = useState(false); // touch: toggled by long-press
   const dragOffset = useRef({ x: 0, y: 0 });
   const resizeStart = useRef({ y: 0, size: 0 });
   const orbRef = useRef(null);
@@ -54,71 +63,141 @@ export default function SoundOrb({
     };
   }, [orb.id, getAmplitude]);
 
-  // Position drag: left mouse button on orb core
-  const handleMouseDown = useCallback((e) => {
-    if (e.button !== 0) return;
-    // Don't start drag if clicking on resize handle or buttons
+  // ===== Pointer interaction (mouse, pen and touch) =====
+  // Each orb captures its own pointers, so several orbs can be dragged at
+  // once with different fingers. One pointer drags, two pointers on the
+  // same orb pinch-resize, a long touch press reveals mute/remove.
+  const pointersRef = useRef(new Map()); // pointerId → { x, y }
+  const pinchRef = useRef(null); // { distance, size } while pinching
+  const longPressRef = useRef(null); // { timer, x, y }
+
+  const cancelLongPress = () => {
+    if (longPressRef.current) {
+      clearTimeout(longPressRef.current.timer);
+      longPressRef.current = null;
+    }
+  };
+
+  // Anchor the drag to a pointer so the orb doesn't jump under the finger
+  const beginDrag = (clientX, clientY) => {
+    const rect = containerRect();
+    dragOffset.current = {
+      x: clientX - (orb.x * rect.width),
+      y: clientY - (orb.y * rect.height),
+    };
+  };
+
+  const pinchDistance = () => {
+    const [a, b] = [...pointersRef.current.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    // Don't start drag if pressing the resize handle or buttons
     if (e.target.closest('.orb-resize-handle') || e.target.closest('.orb-remove') || e.target.closest('.orb-mute')) return;
 
     e.stopPropagation();
     e.preventDefault();
-    setIsDragging(true);
+    orbRef.current?.setPointerCapture(e.pointerId);
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointersRef.current.size === 1) {
+      setIsDragging(true);
+      beginDrag(e.clientX, e.clientY);
+      if (e.pointerType !== 'mouse') {
+        longPressRef.current = {
+          x: e.clientX,
+          y: e.clientY,
+          timer: setTimeout(() => {
+            longPressRef.current = null;
+            setShowActions((prev) => !prev);
+          }, LONG_PRESS_MS),
+        };
+      }
+    } else if (pointersRef.current.size === 2) {
+      cancelLongPress();
+      pinchRef.current = { distance: pinchDistance(), size: orb.size };
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    const pointer = pointersRef.current.get(e.pointerId);
+    if (!pointer) return;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (longPressRef.current &&
+        Math.hypot(e.clientX - longPressRef.current.x, e.clientY - longPressRef.current.y) > LONG_PRESS_SLOP) {
+      cancelLongPress();
+    }
+
+    if (pinchRef.current && pointersRef.current.size >= 2) {
+      const scale = pinchDistance() / pinchRef.current.distance;
+      const newSize = Math.max(MIN_SIZE, Math.min(MAX_SIZE, pinchRef.current.size * scale));
+      onUpdate(orb.id, { size: newSize });
+      return;
+    }
 
     const rect = containerRect();
-    dragOffset.current = {
-      x: e.clientX - (orb.x * rect.width),
-      y: e.clientY - (orb.y * rect.height),
-    };
-  }, [orb.x, orb.y, containerRect]);
+    const newX = Math.max(0, Math.min(1, (e.clientX - dragOffset.current.x) / rect.width));
+    const newY = Math.max(0, Math.min(1, (e.clientY - dragOffset.current.y) / rect.height));
+    onUpdate(orb.id, { x: newX, y: newY });
+  };
+
+  const handlePointerUp = (e) => {
+    if (!pointersRef.current.has(e.pointerId)) return;
+    pointersRef.current.delete(e.pointerId);
+    cancelLongPress();
+
+    if (pointersRef.current.size === 1) {
+      // Pinch ended with one finger still down: continue dragging with it
+      pinchRef.current = null;
+      const [remaining] = pointersRef.current.values();
+      beginDrag(remaining.x, remaining.y);
+    } else if (pointersRef.current.size === 0) {
+      pinchRef.current = null;
+      setIsDragging(false);
+      onCommit(orb.id);
+    }
+  };
 
   // Resize drag: on the resize handle (bottom edge)
-  const handleResizeMouseDown = useCallback((e) => {
-    if (e.button !== 0) return;
+  const handleResizePointerDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
     e.stopPropagation();
     e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
     setIsResizing(true);
-    resizeStart.current = { y: e.clientY, size: orb.size };
-  }, [orb.size]);
-
-  useEffect(() => {
-    if (!isDragging) return;
-
-    const handleMouseMove = (e) => {
-      const rect = containerRect();
-      const newX = Math.max(0, Math.min(1, (e.clientX - dragOffset.current.x) / rect.width));
-      const newY = Math.max(0, Math.min(1, (e.clientY - dragOffset.current.y) / rect.height));
-      onUpdate(orb.id, { x: newX, y: newY });
-    };
+    resizeStart.current = { pointerId: e.pointerId, y: e.clientY, size: orb.size };
+  };
+
+  const handleResizePointerMove = (e) => {
+    if (!isResizing || e.pointerId !== resizeStart.current.pointerId) return;
+    // Drag up = bigger, drag down = smaller
+    const delta = resizeStart.current.y - e.clientY;
+    const newSize = Math.max(MIN_SIZE, Math.min(MAX_SIZE, resizeStart.current.size + delta));
+    onUpdate(orb.id, { size: newSize });
+  };
 
-    const handleMouseUp = () => setIsDragging(false);
+  const handleResizePointerUp = (e) => {
+    if (e.pointerId === resizeStart.current.pointerId) {
+      setIsResizing(false);
+      onCommit(orb.id);
+    }
+  };
 
-    window.addEventListener('mousemove', handleMouseMove);
-    window.addEventListener('mouseup', handleMouseUp);
-    return () => {
-      window.removeEventListener('mousemove', handleMouseMove);
-      window.removeEventListener('mouseup', handleMouseUp);
-    };
-  }, [isDragging, orb.id, onUpdate, containerRect]);
+  const wheelCommitRef = useRef(null);
 
+  // Clear pending long-press / wheel-commit timers on unmount
   useEffect(() => {
-    if (!isResizing) return;
-
-    const handleMouseMove = (e) => {
-      // Drag up = bigger, drag down = smaller
-      const delta = resizeStart.current.y - e.clientY;
-      const newSize = Math.max(MIN_SIZE, Math.min(MAX_SIZE, resizeStart.current.size + delta));
-      onUpdate(orb.id, { size: newSize });
-    };
-
-    const handleMouseUp = () => setIsResizing(false);
-
-    window.addEventListener('mousemove', handleMouseMove);
-    window.addEventListener('mouseup', handleMouseUp);
+    const longPress = longPressRef;
+    const wheelCommit = wheelCommitRef;
     return () => {
-      window.removeEventListener('mousemove', handleMouseMove);
-      window.removeEventListener('mouseup', handleMouseUp);
+      if (longPress.current) clearTimeout(longPress.current.timer);
+      if (wheelCommit.current) clearTimeout(wheelCommit.current);
     };
-  }, [isResizing, orb.id, onUpdate]);
+  }, []);
 
   // Scroll wheel also adjusts volume
   const handleWheel = useCallback((e) => {
@@ -127,7 +206,12 @@ export default function SoundOrb({
     const delta = e.deltaY > 0 ? -5 : 5;
     const newSize = Math.max(MIN_SIZE, Math.min(MAX_SIZE, orb.size + delta));
     onUpdate(orb.id, { size: newSize });
-  }, [orb.id, orb.size, onUpdate]);
+    clearTimeout(wheelCommitRef.current);
+    wheelCommitRef.current = setTimeout(() => {
+      wheelCommitRef.current = null;
+      onCommit(orb.id);
+    }, WHEEL_COMMIT_MS);
+  }, [orb.id, orb.size, onUpdate, onCommit]);
 
   const tVol = Math.max(0, Math.min(1, orb.size / MAX_SIZE));
   const volume = Math.round(tVol * tVol * tVol * 100);
@@ -151,7 +235,11 @@ export default function SoundOrb({
         width: `${orb.size}px`,
         height: `${orb.size}px`,
       }}
-      onMouseDown={handleMouseDown}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onContextMenu={(e) => e.preventDefault()}
       onMouseEnter={() => setIsHovered(true)}
       onMouseLeave={() => setIsHovered(false)}
       onWheel={handleWheel}
@@ -181,7 +269,10 @@ export default function SoundOrb({
       {/* Resize handle — drag up/down to change volume */}
       <div
         className="orb-resize-handle"
-        onMouseDown={handleResizeMouseDown}
+        onPointerDown={handleResizePointerDown}
+        onPointerMove={handleResizePointerMove}
+        onPointerUp={handleResizePointerUp}
+        onPointerCancel={handleResizePointerUp}
         title="Drag up/down to change volume"
       >
         <svg width="12" height="6" viewBox="0 0 12 6">
@@ -197,7 +288,7 @@ export default function SoundOrb({
         </div>
       )}
 
-      {isHovered && (
+      {(isHovered || showActions) && (
         <>
           <button
             className="orb-mute"
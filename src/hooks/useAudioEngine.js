@@ -1,4 +1,12 @@
 import { useRef, useCallback, useEffect } from 'react';
+import masterCaptureWorkletUrl from '../lib/masterCaptureWorklet.js?url&no-inline';
+import loudnessMeterWorkletUrl from '../lib/loudnessMeterWorklet.js?worker&url';
+import { createReverbImpulse } from '../lib/reverbImpulse';
+import { getTempoRatio } from '../lib/tempo';
+import { clampGainTrim } from '../lib/loudness';
+import { getBeatPosition, getLoopOffset, parseTimeSignature } from '../lib/beatClock';
+import LoudnessWorker from '../lib/loudnessWorker.js?worker';
+import AnalysisWorker from '../lib/analysisWorker.js?worker';
 
 const audioCtxRef = { current: null };
 
@@ -44,67 +52,279 @@ export function getMasterAnalyser() {
   return masterAnalyserRef.current;
 }
 
-// ===== Reverb: shared convolver with synthesized IR =====
-// Hall/room reverb, 1.5s decay, with HPF 12dB/oct at 5kHz on the wet signal
-
-const reverbRef = { current: null };
+// ===== Master bus: 3-band EQ → master gain → limiter =====
+// All orbs and the reverb return sum into the master input:
+// input → low shelf → mid peak → high shelf → gain → limiter → output
+
+export const DEFAULT_MASTER_SETTINGS = {
+  masterVolume: 0, // dB
+  eqLow: 0, // dB @ 200Hz shelf
+  eqMid: 0, // dB @ 1kHz peak
+  eqHigh: 0, // dB @ 5kHz shelf
+  limiterEnabled: true,
+};
+
+const masterBusRef = { current: null };
+
+function createMasterChain(ctx, output) {
+  const input = ctx.createGain();
+
+  const low = ctx.createBiquadFilter();
+  low.type = 'lowshelf';
+  low.frequency.value = 200;
+
+  const mid = ctx.createBiquadFilter();
+  mid.type = 'peaking';
+  mid.frequency.value = 1000;
+  mid.Q.value = 0.7;
+
+  const high = ctx.createBiquadFilter();
+  high.type = 'highshelf';
+  high.frequency.value = 5000;
+
+  const gain = ctx.createGain();
+
+  // Brickwall-style limiter: hard knee, high ratio, fast attack, ceiling -1dBFS
+  const limiter = ctx.createDynamicsCompressor();
+  limiter.threshold.value = -1;
+  limiter.knee.value = 0;
+  limiter.ratio.value = 20;
+  limiter.attack.value = 0.001;
+  limiter.release.value = 0.1;
+
+  input.connect(low);
+  low.connect(mid);
+  mid.connect(high);
+  high.connect(gain);
+  gain.connect(limiter);
+  limiter.connect(output);
+
+  return { input, low, mid, high, gain, limiter };
+}
 
-function getReverbSend() {
-  if (reverbRef.current) return reverbRef.current;
+// Set EQ/gain/limiter params; immediate for offline renders, smoothed live
+function applyMasterSettings(chain, settings, ctx, immediate = false) {
+  const s = { ...DEFAULT_MASTER_SETTINGS, ...settings };
+  const setParam = (param, value) => {
+    if (immediate) param.value = value;
+    else param.setTargetAtTime(value, ctx.currentTime, 0.05);
+  };
+  setParam(chain.low.gain, s.eqLow);
+  setParam(chain.mid.gain, s.eqMid);
+  setParam(chain.high.gain, s.eqHigh);
+  setParam(chain.gain.gain, Math.pow(10, s.masterVolume / 20));
+  // Limiter bypass: ratio 1 makes the compressor transparent
+  setParam(chain.limiter.ratio, s.limiterEnabled ? 20 : 1);
+}
 
-  const ctx = getAudioContext();
-  const masterAnalyser = getMasterAnalyser();
-
-  // Create reverb IR: stereo, 1.5s, exponential decay with noise
-  const sampleRate = ctx.sampleRate;
-  const duration = 1.5;
-  const length = Math.ceil(sampleRate * duration);
-  const irBuffer = ctx.createBuffer(2, length, sampleRate);
-
-  for (let ch = 0; ch < 2; ch++) {
-    const data = irBuffer.getChannelData(ch);
-    for (let i = 0; i < length; i++) {
-      const t = i / sampleRate;
-      // Exponential decay envelope (RT60 = 1.5s → decay rate = -60dB/1.5s)
-      const envelope = Math.exp(-t * (6.908 / duration)); // ln(1000)/duration for -60dB
-      // White noise * envelope, with some diffusion from random phase
-      // Scale up IR to compensate for energy loss in convolution
-      data[i] = (Math.random() * 2 - 1) * envelope * 3.0;
-    }
+// Master bus input — everything audible connects here
+function getMasterInput() {
+  if (!masterBusRef.current) {
+    const ctx = getAudioContext();
+    const masterAnalyser = getMasterAnalyser();
+    masterBusRef.current = createMasterChain(ctx, masterAnalyser);
+    masterAnalyser.connect(ctx.destination);
   }
+  return masterBusRef.current.input;
+}
+
+// Apply a preset's master settings to the live bus
+export function updateMasterBus(settings) {
+  getMasterInput();
+  applyMasterSettings(masterBusRef.current, settings, getAudioContext());
+}
 
-  // Convolver
+// ===== Reverb: shared convolver with synthesized or uploaded IR =====
+// IR type/decay/pre-delay per preset (see lib/reverbImpulse), default 1.5s hall
+
+const reverbRef = { current: null };
+
+// Build the shared reverb chain on any (live or offline) context:
+// input → convolver → wetGain → output
+function createReverbChain(ctx, output, irBuffer) {
   const convolver = ctx.createConvolver();
   convolver.buffer = irBuffer;
 
   // Reverb wet gain (controlled per-update based on reverbEnabled)
   const wetGain = ctx.createGain();
-  wetGain.gain.value = 0; // starts silent, controlled by updateReverbSend
+  wetGain.gain.value = 0;
 
-  // Signal flow: input → convolver → wetGain → masterAnalyser → destination
-  // Per-orb LPF filtering happens before the shared reverb input (in startSound)
+  // Per-orb LPF filtering happens before the shared reverb input (in createOrbChain)
   const inputNode = ctx.createGain();
   inputNode.gain.value = 1;
 
   inputNode.connect(convolver);
   convolver.connect(wetGain);
-  wetGain.connect(masterAnalyser);
-  masterAnalyser.connect(ctx.destination);
+  wetGain.connect(output);
+
+  return { inputNode, wetGain, convolver };
+}
 
-  reverbRef.current = { inputNode, wetGain, convolver };
-  console.log('[Reverb] Chain created — IR duration:', duration, 's, sampleRate:', sampleRate, '(per-orb LPF on send)');
+function getReverbSend() {
+  if (reverbRef.current) return reverbRef.current;
+
+  const ctx = getAudioContext();
+
+  // Signal flow: input → convolver → wetGain → master bus
+  // wetGain starts silent, controlled by updateReverbGlobalGain
+  reverbRef.current = createReverbChain(ctx, getMasterInput(), createReverbImpulse(ctx));
+
+  console.log('[Reverb] Chain created — IR duration:', reverbRef.current.convolver.buffer.duration, 's, sampleRate:', ctx.sampleRate, '(per-orb LPF on send)');
   return reverbRef.current;
 }
 
+/**
+ * Switch the shared reverb to a preset's room.
+ * @param {object} settings - { type, decay, preDelay }; type 'custom' uses customIr
+ * @param {AudioBuffer|null} customIr - decoded uploaded IR (see decodeImpulseResponse)
+ */
+export function updateReverbImpulse(settings, customIr = null) {
+  const reverb = getReverbSend();
+  const ctx = getAudioContext();
+  const useCustom = settings.type === 'custom' && customIr;
+  const key = useCustom ? customIr : `${settings.type}:${settings.decay}:${settings.preDelay}`;
+  if (reverb.impulseKey === key) return;
+
+  const irBuffer = useCustom
+    ? customIr
+    : createReverbImpulse(ctx, settings.type === 'custom' ? {} : settings);
+
+  // Swap in a fresh convolver rather than re-assigning the buffer
+  const convolver = ctx.createConvolver();
+  convolver.buffer = irBuffer;
+  reverb.inputNode.connect(convolver);
+  convolver.connect(reverb.wetGain);
+  reverb.inputNode.disconnect(reverb.convolver);
+  reverb.convolver.disconnect();
+
+  reverb.convolver = convolver;
+  reverb.impulseKey = key;
+  console.log(`[Reverb] IR → ${useCustom ? 'custom' : settings.type}, ${irBuffer.duration.toFixed(2)}s`);
+}
+
+// Decode an uploaded impulse response (no loudness normalization)
+export async function decodeImpulseResponse(arrayBuffer) {
+  return getAudioContext().decodeAudioData(arrayBuffer.slice(0));
+}
+
+// Per-orb signal chain, shared by live playback and offline bounce.
+// Dry path: source → level → filter → gain → panner → output
+// Reverb send: filter → reverbSendLPF → reverbInput
+// Send is after filter but before gain — reverb level is independent of orb volume.
+// level = loudness normalization × gain trim of the sound, so it feeds both paths
+// playbackRate: tempo sync of the loop to the preset BPM (see getItemPlaybackRate)
+function createOrbChain(ctx, audioBuffer, output, reverbInput, reverbLpfFreq, itemGain = 1, playbackRate = 1) {
+  const source = ctx.createBufferSource();
+  source.buffer = audioBuffer;
+  source.loop = true;
+  source.playbackRate.value = playbackRate;
+
+  // fade: start/stop/mute envelopes (1 = open), kept apart from the volume in gain
+  const fade = ctx.createGain();
+  const level = ctx.createGain();
+  level.gain.value = itemGain;
+  const filter = ctx.createBiquadFilter();
+  const gain = ctx.createGain();
+  const panner = ctx.createStereoPanner();
+
+  source.connect(fade);
+  fade.connect(level);
+  level.connect(filter);
+  filter.connect(gain);
+  gain.connect(panner);
+  panner.connect(output);
+
+  // Per-orb LPF on reverb send: 3.5kHz default, tracks HPF when HPF > 3.5kHz
+  const reverbSendLPF = ctx.createBiquadFilter();
+  reverbSendLPF.type = 'lowpass';
+  reverbSendLPF.frequency.value = reverbLpfFreq;
+  reverbSendLPF.Q.value = 0.707;
+
+  filter.connect(reverbSendLPF);
+  reverbSendLPF.connect(reverbInput);
+
+  return { source, fade, level, filter, gain, panner, reverbSendLPF };
+}
+
+// Linear ramp of a fade gain from `from` to `to`, starting at `at`
+function scheduleFade(param, from, to, at, duration) {
+  param.cancelScheduledValues(at);
+  param.setValueAtTime(from, at);
+  if (duration > 0) param.linearRampToValueAtTime(to, at + duration);
+  else param.setValueAtTime(to, at);
+}
+
+function disconnectOrbChain(nodes) {
+  try {
+    nodes.source.disconnect();
+    nodes.fade.disconnect();
+    nodes.level.disconnect();
+    nodes.filter.disconnect();
+    nodes.gain.disconnect();
+    nodes.panner.disconnect();
+    nodes.analyser.disconnect();
+    if (nodes.reverbSendLPF) nodes.reverbSendLPF.disconnect();
+  } catch {
+    // Already disconnected
+  }
+}
+
+// Orb volume: cubic size curve × filter loudness compensation
+function getOrbVolume(size, y, muted, filterEnabled) {
+  if (muted) return 0;
+  const t = Math.max(0, Math.min(1, size / 200));
+  const baseVolume = t * t * t;
+  const compensation = filterEnabled ? getFilterCompensation(y) : 1.0;
+  return Math.min(1.5, baseVolume * compensation);
+}
+
+function getPanValue(x) {
+  return Math.max(-1, Math.min(1, (x * 2) - 1));
+}
+
+// Linear gain that brings a sound from its measured loudness to the target
+function getNormalizationGain(inputLUFS, targetLUFS) {
+  const gainLinear = Math.pow(10, (targetLUFS - inputLUFS) / 20);
+  return Math.min(Math.max(gainLinear, 0.01), 10);
+}
+
+/**
+ * Playback level of a library sound: normalization to the preset's target
+ * (skipped when disabled or unmeasurable) times the sound's own gain trim.
+ * @param {object} item - library item ({ inputLufs, gainTrim })
+ * @param {object} preset - active preset ({ normalizeEnabled, normalizeTarget })
+ * @returns {number} linear gain
+ */
+export function getItemGain(item, { normalizeEnabled = true, normalizeTarget = -30 } = {}) {
+  if (!item) return 1;
+  const trim = Math.pow(10, clampGainTrim(item.gainTrim || 0) / 20);
+  if (!normalizeEnabled || item.inputLufs == null || !isFinite(item.inputLufs)) return trim;
+  return getNormalizationGain(item.inputLufs, normalizeTarget) * trim;
+}
+
+/**
+ * Playback rate that puts a library sound on the preset's tempo: the ratio of
+ * preset BPM to the sound's source BPM. Sounds without a source BPM, or presets
+ * with tempo sync off, play at their own rate.
+ * @param {object} item - library item ({ sourceBpm })
+ * @param {object} preset - active preset ({ bpm, tempoSync })
+ * @returns {number}
+ */
+export function getItemPlaybackRate(item, { bpm = 120, tempoSync = true } = {}) {
+  if (!tempoSync || !item?.sourceBpm) return 1;
+  return getTempoRatio(item.sourceBpm, bpm);
+}
+
 // Update the global reverb send level
-export function updateReverbGlobalGain(enabled, sendLevel) {
+// at: AudioContext time the change takes effect (quantized global mute), null = now
+export function updateReverbGlobalGain(enabled, sendLevel, at = null) {
   // Ensure reverb chain exists when enabling
   if (enabled) getReverbSend();
   if (!reverbRef.current) return;
   const ctx = getAudioContext();
   const val = enabled ? sendLevel : 0;
   console.log('[Reverb] Send level update — enabled:', enabled, 'sendLevel:', sendLevel, '→ val:', val);
-  reverbRef.current.wetGain.gain.setTargetAtTime(val, ctx.currentTime, 0.05);
+  reverbRef.current.wetGain.gain.setTargetAtTime(val, Math.max(at ?? ctx.currentTime, ctx.currentTime), 0.05);
 }
 
 export function useAudioEngine() {
@@ -112,108 +332,119 @@ export function useAudioEngine() {
 
   // startAt: optional AudioContext time for quantized start (null = immediate)
   // filterEnabled: whether HPF/LPF filter is active (false = passthrough)
-  const startSound = useCallback((orbId, audioBuffer, x, y, size, muted, startAt = null, filterEnabled = true, reverbLpfFreq = 3500) => {
+  // itemGain: normalization × gain trim of the sound (see getItemGain)
+  // playbackRate: tempo sync to the preset BPM (see getItemPlaybackRate)
+  // songBpm: song-position mode — join the loop at the grid's current phrase position
+  //   at this BPM (null = start from the top of the loop)
+  // fadeIn: seconds to fade in from the start
+  const startSound = useCallback((orbId, audioBuffer, x, y, size, muted, startAt = null, filterEnabled = true, reverbLpfFreq = 3500, itemGain = 1, playbackRate = 1, songBpm = null, fadeIn = 0) => {
     const ctx = getAudioContext();
     if (ctx.state === 'suspended') ctx.resume();
 
     // Stop existing if any
     stopSound(orbId);
 
-    const source = ctx.createBufferSource();
-    source.buffer = audioBuffer;
-    source.loop = true;
-
-    const filter = ctx.createBiquadFilter();
-    const gain = ctx.createGain();
-    const panner = ctx.createStereoPanner();
     const analyser = ctx.createAnalyser();
     analyser.fftSize = 256;
 
-    // Connect dry path: source → filter → gain → panner → analyser → masterAnalyser → destination
-    const masterAnalyser = getMasterAnalyser();
-    source.connect(filter);
-    filter.connect(gain);
-    gain.connect(panner);
-    panner.connect(analyser);
-    analyser.connect(masterAnalyser);
-    masterAnalyser.connect(ctx.destination);
-
-    // Connect reverb send: filter → reverbSendLPF → shared reverb input
-    // Send is after filter but before gain — reverb level is independent of orb volume
-    // Per-orb LPF on reverb send: 3.5kHz default, tracks HPF when HPF > 3.5kHz
-    const reverbSendLPF = ctx.createBiquadFilter();
-    reverbSendLPF.type = 'lowpass';
-    reverbSendLPF.frequency.value = reverbLpfFreq;
-    reverbSendLPF.Q.value = 0.707;
-
+    // Dry path ends in: analyser → master bus → masterAnalyser → destination
     const reverb = getReverbSend();
-    filter.connect(reverbSendLPF);
-    reverbSendLPF.connect(reverb.inputNode);
+    const { source, fade, level, filter, gain, panner, reverbSendLPF } =
+      createOrbChain(ctx, audioBuffer, analyser, reverb.inputNode, reverbLpfFreq, itemGain, playbackRate);
+    analyser.connect(getMasterInput());
 
     // Set initial reverb send LPF based on y position
     updateReverbSendLPF(reverbSendLPF, y, ctx, filterEnabled, reverbLpfFreq);
 
-    // Volume + panning + filter
-    const t = Math.max(0, Math.min(1, size / 200));
-    const baseVolume = t * t * t;
-    const compensation = filterEnabled ? getFilterCompensation(y) : 1.0;
-    const finalVolume = muted ? 0 : Math.min(1.5, baseVolume * compensation);
-
-    const panValue = (x * 2) - 1;
-    panner.pan.setValueAtTime(Math.max(-1, Math.min(1, panValue)), ctx.currentTime);
+    // Volume + panning + filter (muting is done by the fade node)
+    const finalVolume = getOrbVolume(size, y, false, filterEnabled);
+    panner.pan.setValueAtTime(getPanValue(x), ctx.currentTime);
     applyFilter(filter, y, ctx, filterEnabled);
 
-    if (startAt && startAt > ctx.currentTime) {
+    const scheduled = startAt && startAt > ctx.currentTime;
+    const when = scheduled ? startAt : ctx.currentTime;
+    const offset = songBpm
+      ? getLoopOffset(getBeatPosition(ctx, when, songBpm), audioBuffer.duration, playbackRate, songBpm)
+      : 0;
+    if (muted) fade.gain.setValueAtTime(0, ctx.currentTime);
+    else scheduleFade(fade.gain, 0, 1, when, fadeIn);
+
+    if (scheduled) {
       // Quantized start: silence until scheduled time
       gain.gain.setValueAtTime(0, ctx.currentTime);
       gain.gain.setValueAtTime(finalVolume, startAt);
-      source.start(startAt);
-      console.log(`[Quantize] Orb ${orbId} scheduled at ${startAt.toFixed(3)}s (in ${(startAt - ctx.currentTime).toFixed(3)}s)`);
+      source.start(startAt, offset);
+      console.log(`[Quantize] Orb ${orbId} scheduled at ${startAt.toFixed(3)}s (in ${(startAt - ctx.currentTime).toFixed(3)}s, offset ${offset.toFixed(3)}s)`);
     } else {
       // Immediate start
       gain.gain.setValueAtTime(finalVolume, ctx.currentTime);
-      source.start(0);
+      source.start(0, offset);
     }
 
-    nodesRef.current.set(orbId, { source, gain, filter, panner, analyser, reverbSendLPF, startAt, filterEnabled });
+    nodesRef.current.set(orbId, { source, fade, level, gain, filter, panner, analyser, reverbSendLPF, startAt, filterEnabled, playbackRate, muted });
   }, []);
 
-  const stopSound = useCallback((orbId) => {
+  // at: AudioContext time to start fading out (null = now); fadeOut: seconds.
+  // A scheduled stop keeps playing (and reporting amplitude) until it has faded out
+  const stopSound = useCallback((orbId, { at = null, fadeOut = 0 } = {}) => {
     const nodes = nodesRef.current.get(orbId);
-    if (nodes) {
+    if (!nodes) return;
+    const ctx = getAudioContext();
+    const when = Math.max(at ?? ctx.currentTime, ctx.currentTime);
+
+    if (when > ctx.currentTime || fadeOut > 0) {
+      if (nodes.stopping) return;
+      nodes.stopping = true;
+      if (!nodes.muted) scheduleFade(nodes.fade.gain, 1, 0, when, fadeOut);
+      nodes.source.onended = () => {
+        disconnectOrbChain(nodes);
+        if (nodesRef.current.get(orbId) === nodes) nodesRef.current.delete(orbId);
+      };
       try {
-        nodes.source.stop();
-        nodes.source.disconnect();
-        nodes.filter.disconnect();
-        nodes.gain.disconnect();
-        nodes.panner.disconnect();
-        nodes.analyser.disconnect();
-        if (nodes.reverbSendLPF) nodes.reverbSendLPF.disconnect();
-      } catch (e) {
-        // Already stopped
+        nodes.source.stop(when + fadeOut);
+      } catch {
+        // Not started
       }
-      nodesRef.current.delete(orbId);
+      return;
+    }
+
+    // A scheduled stop already fading out is left to finish
+    if (nodes.stopping) return;
+    try {
+      nodes.source.stop();
+    } catch {
+      // Already stopped
     }
+    disconnectOrbChain(nodes);
+    nodesRef.current.delete(orbId);
   }, []);
 
-  const updateSound = useCallback((orbId, x, y, size, muted, filterEnabled = true, reverbLpfFreq = 3500) => {
+  // fades: { at, fadeIn, fadeOut } for a mute change — at: AudioContext time it takes
+  // effect (null = now), fadeIn/fadeOut: seconds
+  const updateSound = useCallback((orbId, x, y, size, muted, filterEnabled = true, reverbLpfFreq = 3500, itemGain = 1, playbackRate = 1, { at = null, fadeIn = 0, fadeOut = 0 } = {}) => {
     const nodes = nodesRef.current.get(orbId);
-    if (!nodes) return;
+    if (!nodes || nodes.stopping) return;
 
     const ctx = getAudioContext();
 
-    const t = Math.max(0, Math.min(1, size / 200));
-    const baseVolume = t * t * t;
-    const compensation = filterEnabled ? getFilterCompensation(y) : 1.0;
-    const finalVolume = muted ? 0 : Math.min(1.5, baseVolume * compensation);
-    nodes.gain.gain.setTargetAtTime(finalVolume, ctx.currentTime, 0.05);
+    nodes.level.gain.setTargetAtTime(itemGain, ctx.currentTime, 0.05);
 
-    const panValue = (x * 2) - 1;
-    nodes.panner.pan.setTargetAtTime(
-      Math.max(-1, Math.min(1, panValue)),
-      ctx.currentTime,
-      0.05
-    );
+    // BPM change: jump to the new rate (a glide would drift off the grid)
+    if (nodes.playbackRate !== playbackRate) {
+      nodes.source.playbackRate.setValueAtTime(playbackRate, ctx.currentTime);
+      nodes.playbackRate = playbackRate;
+    }
+
+    // Mute / unmute: fade on the (quantized) change time
+    if (nodes.muted !== muted) {
+      const when = Math.max(at ?? ctx.currentTime, ctx.currentTime);
+      scheduleFade(nodes.fade.gain, muted ? 1 : 0, muted ? 0 : 1, when, muted ? fadeOut : fadeIn);
+      nodes.muted = muted;
+    }
+
+    const finalVolume = getOrbVolume(size, y, false, filterEnabled);
+    nodes.gain.gain.setTargetAtTime(finalVolume, ctx.currentTime, 0.05);
+    nodes.panner.pan.setTargetAtTime(getPanValue(x), ctx.currentTime, 0.05);
 
     applyFilter(nodes.filter, y, ctx, filterEnabled);
 
@@ -238,10 +469,16 @@ export function useAudioEngine() {
     return Math.sqrt(sum / dataArray.length);
   }, []);
 
-  const decodeAudio = useCallback(async (arrayBuffer) => {
+  // Decode and measure; normalization is applied at playback (getItemGain)
+  // so the target and gain trim can change without decoding again.
+  // cachedLufs: loudness stored with the library item — skips the measurement
+  const decodeAudio = useCallback(async (arrayBuffer, cachedLufs = null) => {
     const ctx = getAudioContext();
     const audioBuffer = await ctx.decodeAudioData(arrayBuffer);
-    return normalizeLUFS(audioBuffer, -30);
+    if (cachedLufs != null) return { audioBuffer, inputLufs: cachedLufs };
+    const inputLufs = await measureLoudness(audioBuffer);
+    console.log(`[LUFS] Input: ${inputLufs.toFixed(1)} LUFS (integrated, ITU-R BS.1770)`);
+    return { audioBuffer, inputLufs };
   }, []);
 
   // Cleanup on unmount
@@ -250,13 +487,8 @@ export function useAudioEngine() {
       nodesRef.current.forEach((nodes) => {
         try {
           nodes.source.stop();
-          nodes.source.disconnect();
-          nodes.filter.disconnect();
-          nodes.gain.disconnect();
-          nodes.panner.disconnect();
-          nodes.analyser.disconnect();
-          if (nodes.reverbSendLPF) nodes.reverbSendLPF.disconnect();
         } catch (e) {}
+        disconnectOrbChain(nodes);
       });
       nodesRef.current.clear();
     };
@@ -324,166 +556,302 @@ function applyFilter(filter, y, ctx, filterEnabled = true) {
 }
 
 // ===== ITU-R BS.1770 Integrated LUFS measurement + normalization =====
-
-function applyKWeighting(samples, sampleRate) {
-  const out = new Float32Array(samples.length);
-
-  const f0_1 = 1681.974450955533;
-  const G = 3.999843853973347;
-  const Q_1 = 0.7071752369554196;
-
-  const K1 = Math.tan(Math.PI * f0_1 / sampleRate);
-  const Vh = Math.pow(10, G / 20);
-  const Vb = Math.pow(Vh, 0.4996667741545416);
-  const a0_1 = 1 + K1 / Q_1 + K1 * K1;
-  const b0_1 = (Vh + Vb * K1 / Q_1 + K1 * K1) / a0_1;
-  const b1_1 = 2 * (K1 * K1 - Vh) / a0_1;
-  const b2_1 = (Vh - Vb * K1 / Q_1 + K1 * K1) / a0_1;
-  const a1_1 = 2 * (K1 * K1 - 1) / a0_1;
-  const a2_1 = (1 - K1 / Q_1 + K1 * K1) / a0_1;
-
-  const f0_2 = 38.13547087602444;
-  const Q_2 = 0.5003270373238773;
-  const K2 = Math.tan(Math.PI * f0_2 / sampleRate);
-  const a0_2 = 1 + K2 / Q_2 + K2 * K2;
-  const b0_2 = 1 / a0_2;
-  const b1_2 = -2 / a0_2;
-  const b2_2 = 1 / a0_2;
-  const a1_2 = 2 * (K2 * K2 - 1) / a0_2;
-  const a2_2 = (1 - K2 / Q_2 + K2 * K2) / a0_2;
-
-  let x1_1 = 0, x2_1 = 0, y1_1 = 0, y2_1 = 0;
-  const temp = new Float32Array(samples.length);
-  for (let i = 0; i < samples.length; i++) {
-    const x = samples[i];
-    const y = b0_1 * x + b1_1 * x1_1 + b2_1 * x2_1 - a1_1 * y1_1 - a2_1 * y2_1;
-    x2_1 = x1_1; x1_1 = x;
-    y2_1 = y1_1; y1_1 = y;
-    temp[i] = y;
+// The sample crunching runs in a Web Worker (lib/loudnessWorker.js)
+
+const loudnessWorkerRef = { current: null };
+const loudnessTasks = new Map();
+let nextLoudnessTaskId = 1;
+
+// Post a task with copies of the buffer's channels (transferred, not cloned)
+function runLoudnessTask(type, audioBuffer, extra = {}) {
+  if (!loudnessWorkerRef.current) {
+    const worker = new LoudnessWorker();
+    worker.onmessage = (e) => {
+      const task = loudnessTasks.get(e.data.id);
+      if (!task) return;
+      loudnessTasks.delete(e.data.id);
+      if (e.data.error) task.reject(new Error(e.data.error));
+      else task.resolve(e.data);
+    };
+    loudnessWorkerRef.current = worker;
   }
 
-  let x1_2 = 0, x2_2 = 0, y1_2 = 0, y2_2 = 0;
-  for (let i = 0; i < temp.length; i++) {
-    const x = temp[i];
-    const y = b0_2 * x + b1_2 * x1_2 + b2_2 * x2_2 - a1_2 * y1_2 - a2_2 * y2_2;
-    x2_2 = x1_2; x1_2 = x;
-    y2_2 = y1_2; y1_2 = y;
-    out[i] = y;
+  const channels = [];
+  for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+    channels.push(audioBuffer.getChannelData(ch).slice());
   }
-
-  return out;
+  const id = nextLoudnessTaskId++;
+  return new Promise((resolve, reject) => {
+    loudnessTasks.set(id, { resolve, reject });
+    loudnessWorkerRef.current.postMessage(
+      { id, type, channels, sampleRate: audioBuffer.sampleRate, ...extra },
+      channels.map((data) => data.buffer)
+    );
+  });
 }
 
-function measureIntegratedLUFS(audioBuffer) {
-  const sampleRate = audioBuffer.sampleRate;
-  const numChannels = audioBuffer.numberOfChannels;
-  const length = audioBuffer.length;
+// Integrated loudness of a decoded buffer, in LUFS (-Infinity if silent)
+export async function measureLoudness(audioBuffer) {
+  const { lufs } = await runLoudnessTask('measure', audioBuffer);
+  return lufs;
+}
 
-  const channelWeights = [];
-  for (let ch = 0; ch < numChannels; ch++) {
-    channelWeights.push(1.0);
-  }
+// Render a normalized copy (used for the WAV export on import)
+export async function normalizeLUFS(audioBuffer, targetLUFS = -30, currentLUFS = null) {
+  if (currentLUFS == null) currentLUFS = await measureLoudness(audioBuffer);
 
-  const kWeighted = [];
-  for (let ch = 0; ch < numChannels; ch++) {
-    kWeighted.push(applyKWeighting(audioBuffer.getChannelData(ch), sampleRate));
+  if (!isFinite(currentLUFS)) {
+    console.warn('[LUFS] Could not measure loudness (silent?), skipping normalization');
+    return audioBuffer;
   }
 
-  const blockSize = Math.round(sampleRate * 0.4);
-  const stepSize = Math.round(sampleRate * 0.1);
-  const blockLoudness = [];
+  const gainDB = targetLUFS - currentLUFS;
+  const clampedGain = getNormalizationGain(currentLUFS, targetLUFS);
 
-  for (let start = 0; start + blockSize <= length; start += stepSize) {
-    let blockPower = 0;
-    for (let ch = 0; ch < numChannels; ch++) {
-      const data = kWeighted[ch];
-      let chSum = 0;
-      for (let i = start; i < start + blockSize; i++) {
-        chSum += data[i] * data[i];
-      }
-      blockPower += channelWeights[ch] * (chSum / blockSize);
-    }
-    const blockLUFS = -0.691 + 10 * Math.log10(blockPower);
-    blockLoudness.push(blockLUFS);
-  }
+  const { channels, lufs: verifyLUFS } = await runLoudnessTask('normalize', audioBuffer, { gain: clampedGain });
+  const normalizedBuffer = getAudioContext().createBuffer(channels.length, audioBuffer.length, audioBuffer.sampleRate);
+  channels.forEach((data, ch) => normalizedBuffer.copyToChannel(data, ch));
 
-  if (blockLoudness.length === 0) {
-    let power = 0;
-    for (let ch = 0; ch < numChannels; ch++) {
-      const data = kWeighted[ch];
-      let chSum = 0;
-      for (let i = 0; i < length; i++) {
-        chSum += data[i] * data[i];
-      }
-      power += channelWeights[ch] * (chSum / length);
-    }
-    return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
-  }
+  console.log(`[LUFS] Input: ${currentLUFS.toFixed(1)} LUFS (integrated, ITU-R BS.1770)`);
+  console.log(`[LUFS] Target: ${targetLUFS} LUFS`);
+  console.log(`[LUFS] Gain applied: ${gainDB.toFixed(1)} dB (linear: ${clampedGain.toFixed(4)})`);
+  console.log(`[LUFS] Output: ${verifyLUFS.toFixed(1)} LUFS (verified)`);
 
-  const gated70 = blockLoudness.filter(l => l > -70);
-  if (gated70.length === 0) return -Infinity;
+  return normalizedBuffer;
+}
 
-  let sumPower70 = 0;
-  for (const l of gated70) {
-    sumPower70 += Math.pow(10, (l + 0.691) / 10);
+// ===== Tempo / key analysis =====
+// Runs in its own Web Worker (lib/analysisWorker.js) so it never queues behind loudness work
+
+const analysisWorkerRef = { current: null };
+const analysisTasks = new Map();
+let nextAnalysisTaskId = 1;
+
+/**
+ * Detect tempo, key and loop length of a decoded buffer.
+ * @param {AudioBuffer} audioBuffer
+ * @param {number} [beatsPerBar] - quarter notes per bar, for the loop length (see lib/tempo)
+ * @returns {Promise<{ bpm: number|null, bpmConfidence: number, loopBars: number|null,
+ *   key: string|null, keyConfidence: number }>}
+ */
+export function analyzeAudio(audioBuffer, beatsPerBar = 4) {
+  if (!analysisWorkerRef.current) {
+    const worker = new AnalysisWorker();
+    worker.onmessage = (e) => {
+      const task = analysisTasks.get(e.data.id);
+      if (!task) return;
+      analysisTasks.delete(e.data.id);
+      if (e.data.error) task.reject(new Error(e.data.error));
+      else task.resolve(e.data.analysis);
+    };
+    analysisWorkerRef.current = worker;
   }
-  const meanPower70 = sumPower70 / gated70.length;
-  const relativeThreshold = -0.691 + 10 * Math.log10(meanPower70) - 10;
 
-  const gatedRelative = blockLoudness.filter(l => l > relativeThreshold);
-  if (gatedRelative.length === 0) return -Infinity;
+  const channels = [];
+  for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+    channels.push(audioBuffer.getChannelData(ch).slice());
+  }
+  const id = nextAnalysisTaskId++;
+  return new Promise((resolve, reject) => {
+    analysisTasks.set(id, { resolve, reject });
+    analysisWorkerRef.current.postMessage(
+      { id, channels, sampleRate: audioBuffer.sampleRate, beatsPerBar },
+      channels.map((data) => data.buffer)
+    );
+  });
+}
 
-  let sumPowerRel = 0;
-  for (const l of gatedRelative) {
-    sumPowerRel += Math.pow(10, (l + 0.691) / 10);
+// ===== Offline bounce =====
+
+/**
+ * Render the mix in an OfflineAudioContext with the same per-orb chain and
+ * shared reverb as live playback. All orbs start together on the downbeat;
+ * the reverb tail is rendered after the last bar.
+ * @param {Array} orbs - orbs from the store (audioBuffer, x, y, size, muted), plus itemGain and playbackRate
+ * @param {object} settings - preset settings: bpm, timeSignature, filterEnabled, reverbEnabled, reverbSendLevel,
+ *   reverbLpfFreq, plus the master bus fields (masterVolume, eqLow, eqMid, eqHigh, limiterEnabled)
+ * @param {number} bars - number of bars (of the time signature) to render
+ * @returns {Promise<AudioBuffer>} stereo mix
+ */
+export async function renderMixOffline(orbs, settings, bars = 8) {
+  const {
+    bpm = 120,
+    timeSignature,
+    filterEnabled = true,
+    reverbEnabled = false,
+    reverbSendLevel = 0.5,
+    reverbLpfFreq = 3500,
+  } = settings;
+
+  const sampleRate = getAudioContext().sampleRate;
+  const mixDuration = bars * parseTimeSignature(timeSignature).barQuarters * (60 / bpm);
+
+  // Reuse the live IR so the bounce sounds like the room you heard
+  const irBuffer = getReverbSend().convolver.buffer;
+  const length = Math.ceil((mixDuration + irBuffer.duration) * sampleRate);
+  const offline = new OfflineAudioContext(2, length, sampleRate);
+  const master = createMasterChain(offline, offline.destination);
+  applyMasterSettings(master, settings, offline, true);
+  const reverb = createReverbChain(offline, master.input, irBuffer);
+  reverb.wetGain.gain.value = reverbEnabled ? reverbSendLevel : 0;
+
+  for (const orb of orbs) {
+    const { source, fade, filter, gain, panner, reverbSendLPF } =
+      createOrbChain(offline, orb.audioBuffer, master.input, reverb.inputNode, reverbLpfFreq, orb.itemGain ?? 1, orb.playbackRate ?? 1);
+
+    updateReverbSendLPF(reverbSendLPF, orb.y, offline, filterEnabled, reverbLpfFreq);
+    applyFilter(filter, orb.y, offline, filterEnabled);
+    // Mute at the fade node like live playback, so a muted orb doesn't feed the reverb send
+    fade.gain.value = orb.muted ? 0 : 1;
+    gain.gain.value = getOrbVolume(orb.size, orb.y, false, filterEnabled);
+    panner.pan.value = getPanValue(orb.x);
+
+    source.start(0);
+    source.stop(mixDuration);
   }
-  const meanPowerRel = sumPowerRel / gatedRelative.length;
 
-  return -0.691 + 10 * Math.log10(meanPowerRel);
+  console.log(`[Bounce] Rendering ${orbs.length} orbs, ${bars} bars @ ${bpm} BPM (${mixDuration.toFixed(1)}s + tail)`);
+  return offline.startRendering();
 }
 
-function normalizeLUFS(audioBuffer, targetLUFS = -30) {
-  const numChannels = audioBuffer.numberOfChannels;
-  const length = audioBuffer.length;
-  const sampleRate = audioBuffer.sampleRate;
+// ===== Master capture: record the live master bus to WAV =====
+// masterAnalyser → AudioWorkletNode (raw PCM chunks posted to the main thread)
 
-  const currentLUFS = measureIntegratedLUFS(audioBuffer);
+const masterCaptureRef = { current: null };
+let captureWorkletLoaded = false;
 
-  if (!isFinite(currentLUFS)) {
-    console.warn('[LUFS] Could not measure loudness (silent?), skipping normalization');
-    return audioBuffer;
+// onProgress({ seconds, peak }) is called for every captured chunk
+export async function startMasterCapture(onProgress = null) {
+  if (masterCaptureRef.current) return;
+
+  const ctx = getAudioContext();
+  if (!ctx.audioWorklet) throw new Error('AudioWorklet is not supported in this browser');
+  if (!captureWorkletLoaded) {
+    await ctx.audioWorklet.addModule(masterCaptureWorkletUrl);
+    captureWorkletLoaded = true;
   }
 
-  const gainDB = targetLUFS - currentLUFS;
-  const gainLinear = Math.pow(10, gainDB / 20);
-  const clampedGain = Math.min(Math.max(gainLinear, 0.01), 10);
+  const node = new AudioWorkletNode(ctx, 'master-capture', {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    channelCount: 2,
+    channelCountMode: 'explicit',
+  });
+
+  const capture = { node, chunks: [[], []], frames: 0, onDone: null };
+  node.port.onmessage = (e) => {
+    if (e.data.done) {
+      capture.onDone?.();
+      return;
+    }
+    const [left, right] = e.data.channels;
+    capture.chunks[0].push(left);
+    capture.chunks[1].push(right);
+    capture.frames += left.length;
+
+    if (onProgress) {
+      let peak = 0;
+      for (const data of e.data.channels) {
+        for (let i = 0; i < data.length; i++) {
+          const abs = Math.abs(data[i]);
+          if (abs > peak) peak = abs;
+        }
+      }
+      onProgress({ seconds: capture.frames / ctx.sampleRate, peak });
+    }
+  };
 
-  const ctx = getAudioContext();
-  const normalizedBuffer = ctx.createBuffer(numChannels, length, sampleRate);
+  getMasterAnalyser().connect(node);
+  masterCaptureRef.current = capture;
+  console.log('[Capture] Recording master bus at', ctx.sampleRate, 'Hz');
+}
 
-  for (let ch = 0; ch < numChannels; ch++) {
-    const inputData = audioBuffer.getChannelData(ch);
-    const outputData = normalizedBuffer.getChannelData(ch);
-    for (let i = 0; i < length; i++) {
-      outputData[i] = inputData[i] * clampedGain;
+// Stop capturing; resolves with { channels: [L, R], sampleRate } or null
+export async function stopMasterCapture() {
+  const capture = masterCaptureRef.current;
+  if (!capture) return null;
+  masterCaptureRef.current = null;
+
+  // Let the worklet flush its partial chunk before disconnecting
+  await new Promise((resolve) => {
+    capture.onDone = resolve;
+    capture.node.port.postMessage('stop');
+  });
+  getMasterAnalyser().disconnect(capture.node);
+  capture.node.port.onmessage = null;
+
+  const channels = capture.chunks.map((chunks) => {
+    const data = new Float32Array(capture.frames);
+    let offset = 0;
+    for (const chunk of chunks) {
+      data.set(chunk, offset);
+      offset += chunk.length;
     }
+    return data;
+  });
+
+  const sampleRate = getAudioContext().sampleRate;
+  console.log(`[Capture] Stopped — ${(capture.frames / sampleRate).toFixed(1)}s`);
+  return { channels, sampleRate };
+}
+
+// ===== Loudness meter: live LUFS + true-peak on the master bus =====
+// masterAnalyser → AudioWorkletNode (BS.1770 readings posted every 100ms)
+
+const loudnessMeterRef = { current: null };
+let loudnessWorkletLoaded = false;
+
+// onReading({ momentary, shortTerm, integrated, truePeak, truePeakMax }) in LUFS / dBTP
+export async function startLoudnessMeter(onReading) {
+  if (loudnessMeterRef.current) {
+    loudnessMeterRef.current.onReading = onReading;
+    return;
   }
 
-  const verifyLUFS = measureIntegratedLUFS(normalizedBuffer);
+  const ctx = getAudioContext();
+  if (!ctx.audioWorklet) throw new Error('AudioWorklet is not supported in this browser');
+  const meter = { node: null, onReading };
+  loudnessMeterRef.current = meter;
 
-  console.log(`[LUFS] Input: ${currentLUFS.toFixed(1)} LUFS (integrated, ITU-R BS.1770)`);
-  console.log(`[LUFS] Target: ${targetLUFS} LUFS`);
-  console.log(`[LUFS] Gain applied: ${gainDB.toFixed(1)} dB (linear: ${clampedGain.toFixed(4)})`);
-  console.log(`[LUFS] Output: ${verifyLUFS.toFixed(1)} LUFS (verified)`);
+  if (!loudnessWorkletLoaded) {
+    await ctx.audioWorklet.addModule(loudnessMeterWorkletUrl);
+    loudnessWorkletLoaded = true;
+  }
+  // Stopped while the module was loading
+  if (loudnessMeterRef.current !== meter) return;
+
+  meter.node = new AudioWorkletNode(ctx, 'loudness-meter', {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    channelCount: 2,
+    channelCountMode: 'explicit',
+    processorOptions: { sampleRate: ctx.sampleRate },
+  });
+  meter.node.port.onmessage = (e) => meter.onReading?.(e.data);
+  getMasterAnalyser().connect(meter.node);
+}
 
-  return normalizedBuffer;
+export function stopLoudnessMeter() {
+  const meter = loudnessMeterRef.current;
+  if (!meter) return;
+  loudnessMeterRef.current = null;
+  if (meter.node) {
+    getMasterAnalyser().disconnect(meter.node);
+    meter.node.port.onmessage = null;
+  }
 }
 
-// Export an AudioBuffer as a WAV file download
-export function exportAudioBufferAsWav(audioBuffer, filename) {
-  const numChannels = audioBuffer.numberOfChannels;
-  const sampleRate = audioBuffer.sampleRate;
-  const length = audioBuffer.length;
+// Restart the integrated loudness / max true-peak window
+export function resetLoudnessMeter() {
+  loudnessMeterRef.current?.node?.port.postMessage('reset');
+}
+
+// ===== WAV export =====
+
+// Encode channel data as a 16-bit PCM WAV blob
+function encodeWav(channels, sampleRate) {
+  const numChannels = channels.length;
+  const length = channels[0].length;
   const bitsPerSample = 16;
   const bytesPerSample = bitsPerSample / 8;
   const blockAlign = numChannels * bytesPerSample;
@@ -507,11 +875,6 @@ export function exportAudioBufferAsWav(audioBuffer, filename) {
   writeString(view, 36, 'data');
   view.setUint32(40, dataSize, true);
 
-  const channels = [];
-  for (let ch = 0; ch < numChannels; ch++) {
-    channels.push(audioBuffer.getChannelData(ch));
-  }
-
   let offset = 44;
   for (let i = 0; i < length; i++) {
     for (let ch = 0; ch < numChannels; ch++) {
@@ -522,7 +885,12 @@ export function exportAudioBufferAsWav(audioBuffer, filename) {
     }
   }
 
-  const blob = new Blob([buffer], { type: 'audio/wav' });
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+// Download channel data as a WAV file
+export function exportChannelsAsWav(channels, sampleRate, filename) {
+  const blob = encodeWav(channels, sampleRate);
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -531,6 +899,15 @@ export function exportAudioBufferAsWav(audioBuffer, filename) {
   URL.revokeObjectURL(url);
 }
 
+// Export an AudioBuffer as a WAV file download
+export function exportAudioBufferAsWav(audioBuffer, filename) {
+  const channels = [];
+  for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+    channels.push(audioBuffer.getChannelData(ch));
+  }
+  exportChannelsAsWav(channels, audioBuffer.sampleRate, filename);
+}
+
 function writeString(view, offset, str) {
   for (let i = 0; i < str.length; i++) {
     view.setUint8(offset + i, str.charCodeAt(i));
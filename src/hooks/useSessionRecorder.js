@@ -0,0 +1,289 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import useSoundStore from '../stores/useSoundStore';
+import { resumeAudioContext } from './useAudioEngine';
+
+// Session recorder: captures orb movements, mutes, adds/removes, global mute
+// and reverb send changes as an automation timeline, timed on the AudioContext
+// clock. A take is plain JSON so it can be stored in IDB and exported:
+//
+// {
+//   name, presetId, bpm, duration,
+//   initial: { orbs: [{ orbId, dbId, x, y, size, muted, color }], globalMuted, reverbEnabled, reverbSendLevel },
+//   events: [{ t, type: 'add' | 'update' | 'remove' | 'globalMute' | 'reverb', ... }],
+// }
+//
+// orbId is the runtime orb id at record time — playback maps it to new orbs.
+
+// Orb fields captured as automation (waiting/startAt/changeAt are transport state, not performance)
+const ORB_FIELDS = ['x', 'y', 'size', 'muted'];
+
+// Playback scheduler tick
+const PLAYBACK_INTERVAL_MS = 20;
+
+function audioTime() {
+  return window.__audioCtx?.currentTime ?? 0;
+}
+
+function snapshotOrb(orb, libraryItems) {
+  const item = libraryItems.find((i) => i.id === orb.soundId);
+  return {
+    orbId: orb.id,
+    dbId: item?.dbId ?? null,
+    x: orb.x,
+    y: orb.y,
+    size: orb.size,
+    muted: orb.muted,
+    color: orb.color,
+  };
+}
+
+function activePresetOf(state) {
+  return state.presets.find((p) => p.id === state.activePresetId);
+}
+
+// Turn a store transition into automation events at time t
+function diffStates(prev, next, t, recordStart) {
+  const events = [];
+
+  if (prev.orbs !== next.orbs) {
+    const prevById = new Map(prev.orbs.map((o) => [o.id, o]));
+    for (const orb of next.orbs) {
+      const before = prevById.get(orb.id);
+      if (!before) {
+        events.push({
+          t,
+          type: 'add',
+          orb: snapshotOrb(orb, next.libraryItems),
+          // Quantized adds keep their bar offset so playback lands on the same beat
+          startOffset: orb.startAt ? orb.startAt - recordStart : null,
+        });
+        continue;
+      }
+      const changes = {};
+      for (const field of ORB_FIELDS) {
+        if (orb[field] !== before[field]) changes[field] = orb[field];
+      }
+      if (Object.keys(changes).length > 0) {
+        events.push({ t, type: 'update', orbId: orb.id, changes });
+      }
+      prevById.delete(orb.id);
+    }
+    for (const id of prevById.keys()) {
+      events.push({ t, type: 'remove', orbId: id });
+    }
+  }
+
+  if (prev.globalMuted !== next.globalMuted) {
+    events.push({ t, type: 'globalMute', muted: next.globalMuted });
+  }
+
+  const prevPreset = activePresetOf(prev);
+  const nextPreset = activePresetOf(next);
+  if (prevPreset && nextPreset &&
+      (prevPreset.reverbEnabled !== nextPreset.reverbEnabled ||
+       prevPreset.reverbSendLevel !== nextPreset.reverbSendLevel)) {
+    events.push({
+      t,
+      type: 'reverb',
+      enabled: nextPreset.reverbEnabled,
+      sendLevel: nextPreset.reverbSendLevel,
+    });
+  }
+
+  return events;
+}
+
+// Add a recorded orb to the field, returns the new runtime orb id (or null
+// when its sound isn't in the library)
+function addRecordedOrb(entry, startAt = null) {
+  const store = useSoundStore.getState();
+  const libraryItem = store.libraryItems.find((item) => item.dbId === entry.dbId);
+  if (!libraryItem) return null;
+
+  store.addOrb(libraryItem.id, entry.x, entry.y, startAt);
+  const { orbs } = useSoundStore.getState();
+  const newOrb = orbs[orbs.length - 1];
+  store.updateOrb(newOrb.id, { size: entry.size, muted: entry.muted, color: entry.color });
+  return newOrb.id;
+}
+
+function applyEvent(event, idMap, playStart) {
+  const store = useSoundStore.getState();
+  switch (event.type) {
+    case 'add': {
+      const startAt = event.startOffset !== null ? playStart + event.startOffset : null;
+      const newId = addRecordedOrb(event.orb, startAt && startAt > audioTime() ? startAt : null);
+      if (newId !== null) idMap.set(event.orb.orbId, newId);
+      break;
+    }
+    case 'update': {
+      const id = idMap.get(event.orbId);
+      if (id !== undefined) store.updateOrb(id, event.changes);
+      break;
+    }
+    case 'remove': {
+      const id = idMap.get(event.orbId);
+      if (id !== undefined) store.removeOrb(id);
+      idMap.delete(event.orbId);
+      break;
+    }
+    case 'globalMute':
+      store.setGlobalMuted(event.muted);
+      break;
+    case 'reverb':
+      store.updateActivePreset({ reverbEnabled: event.enabled, reverbSendLevel: event.sendLevel });
+      break;
+    default:
+      console.warn('[Recorder] Unknown event type:', event.type);
+  }
+}
+
+export function useSessionRecorder() {
+  const [isRecording, setIsRecording] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const recordRef = useRef(null); // { take, start, unsubscribe, onFinish }
+  const playbackRef = useRef(null); // interval id
+  const sceneRef = useRef(null); // scene before playback: { presetId, globalMuted, preset: { orbLayout, reverbEnabled, reverbSendLevel } }
+
+  const stopRecording = useCallback(() => {
+    const rec = recordRef.current;
+    if (!rec) return null;
+    rec.unsubscribe();
+    recordRef.current = null;
+    setIsRecording(false);
+
+    rec.take.duration = audioTime() - rec.start;
+    console.log(`[Recorder] Stopped — ${rec.take.events.length} events, ${rec.take.duration.toFixed(1)}s`);
+    rec.onFinish?.(rec.take);
+    return rec.take;
+  }, []);
+
+  // onFinish(take) is called when the take ends, by stopRecording or by a preset switch
+  const startRecording = useCallback((name, onFinish = null) => {
+    if (recordRef.current || playbackRef.current) return;
+    resumeAudioContext();
+
+    const state = useSoundStore.getState();
+    const preset = activePresetOf(state);
+    const start = audioTime();
+    const take = {
+      name,
+      presetId: state.activePresetId,
+      bpm: preset?.bpm || 120,
+      duration: 0,
+      initial: {
+        orbs: state.orbs.map((orb) => snapshotOrb(orb, state.libraryItems)),
+        globalMuted: state.globalMuted,
+        reverbEnabled: preset?.reverbEnabled ?? false,
+        reverbSendLevel: preset?.reverbSendLevel ?? 0.5,
+      },
+      events: [],
+    };
+
+    const unsubscribe = useSoundStore.subscribe((next, prev) => {
+      // Switching preset ends the take — the scene it belongs to is gone
+      if (next.activePresetId !== take.presetId) {
+        stopRecording();
+        return;
+      }
+      take.events.push(...diffStates(prev, next, audioTime() - start, start));
+    });
+
+    recordRef.current = { take, start, unsubscribe, onFinish };
+    setIsRecording(true);
+    console.log(`[Recorder] Recording "${name}"`);
+  }, [stopRecording]);
+
+  // Playback only borrows the scene: put back what was there before, so
+  // listening to a take never changes the saved preset
+  const restoreScene = useCallback(() => {
+    const scene = sceneRef.current;
+    if (!scene) return;
+    sceneRef.current = null;
+    const store = useSoundStore.getState();
+    if (store.activePresetId === scene.presetId) {
+      store.clearOrbs();
+      store.setGlobalMuted(scene.globalMuted);
+    }
+    store.updatePreset(scene.presetId, scene.preset);
+    if (store.activePresetId === scene.presetId) {
+      store.restoreOrbLayout(scene.preset.orbLayout);
+    }
+    store.setScenePlayback(false);
+  }, []);
+
+  const stopPlayback = useCallback(() => {
+    if (playbackRef.current) {
+      clearInterval(playbackRef.current);
+      playbackRef.current = null;
+    }
+    restoreScene();
+    setIsPlaying(false);
+  }, [restoreScene]);
+
+  // Rebuild the take's starting scene, then replay its events on the audio clock
+  const play = useCallback((take) => {
+    if (recordRef.current) return;
+    stopPlayback();
+    resumeAudioContext();
+
+    const store = useSoundStore.getState();
+    const presetId = store.activePresetId;
+    const preset = activePresetOf(store);
+    sceneRef.current = {
+      presetId,
+      globalMuted: store.globalMuted,
+      preset: {
+        orbLayout: preset?.orbLayout || [],
+        reverbEnabled: preset?.reverbEnabled ?? false,
+        reverbSendLevel: preset?.reverbSendLevel ?? 0.5,
+      },
+    };
+    store.setScenePlayback(true);
+    store.clearOrbs();
+    store.setGlobalMuted(take.initial.globalMuted);
+    store.updateActivePreset({
+      reverbEnabled: take.initial.reverbEnabled,
+      reverbSendLevel: take.initial.reverbSendLevel,
+    });
+
+    const idMap = new Map();
+    for (const entry of take.initial.orbs) {
+      const newId = addRecordedOrb(entry);
+      if (newId !== null) idMap.set(entry.orbId, newId);
+    }
+
+    const playStart = audioTime();
+    let index = 0;
+    playbackRef.current = setInterval(() => {
+      // Switching preset ends playback
+      if (useSoundStore.getState().activePresetId !== presetId) {
+        stopPlayback();
+        return;
+      }
+      const t = audioTime() - playStart;
+      while (index < take.events.length && take.events[index].t <= t) {
+        applyEvent(take.events[index], idMap, playStart);
+        index++;
+      }
+      if (index >= take.events.length && t >= take.duration) {
+        stopPlayback();
+      }
+    }, PLAYBACK_INTERVAL_MS);
+    setIsPlaying(true);
+    console.log(`[Recorder] Playing "${take.name}" — ${take.events.length} events`);
+  }, [stopPlayback]);
+
+  // Cleanup on unmount
+  useEffect(() => {
+    return () => {
+      if (recordRef.current) recordRef.current.unsubscribe();
+      if (playbackRef.current) clearInterval(playbackRef.current);
+      restoreScene();
+    };
+  }, [restoreScene]);
+
+  return { isRecording, isPlaying, startRecording, stopRecording, play, stopPlayback };
+}
+
+export default useSessionRecorder;
@@ -0,0 +1,140 @@
+import { useCallback } from 'react';
+import useSoundStore from '../stores/useSoundStore';
+import { useAudioEngine } from './useAudioEngine';
+import { getByIdsFromDb, saveToDbWithId, updateLibraryItem } from '../lib/audioDb';
+import { isSameAudio } from '../lib/shareVersion';
+import { decryptFile } from '../lib/shareCrypto';
+import { clampGainTrim } from '../lib/loudness';
+
+// Fetch a file as ArrayBuffer, reporting download progress (0..1) when the size is known
+async function fetchWithProgress(url, onProgress) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to fetch ${url} (${response.status})`);
+
+  const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+  if (!response.body || !total) {
+    const buffer = await response.arrayBuffer();
+    onProgress(1);
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    onProgress(Math.min(1, received / total));
+  }
+
+  const data = new Uint8Array(received);
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return data.buffer;
+}
+
+/**
+ * Progressive library loading: every sound of a preset shows up as a
+ * placeholder right away and becomes playable as soon as it is decoded.
+ * Sounds already in the IndexedDB are reused; missing (or changed) ones are
+ * downloaded from the share folder when a baseUrl is given. A changed sound's
+ * old copy is only replaced once the download worked.
+ * The preset's orb layout is restored once all its sounds are in.
+ */
+export function useShareLibrary() {
+  const { decodeAudio } = useAudioEngine();
+
+  // source: { dbName, baseUrl, audioNames, audioGainTrims, audioTempos, audioSizes, audioHashes, key, keyId } —
+  // all optional except dbName; the audio* maps come from the share's meta.json,
+  // key/keyId only for a password-protected share (lib/shareCrypto)
+  const loadPresetLibrary = useCallback(async (preset, source = {}) => {
+    const {
+      dbName, baseUrl = null, audioNames = {}, audioGainTrims = {}, audioTempos = {}, audioSizes = {}, audioHashes = {},
+      key: cryptoKey = null, keyId = null,
+    } = source;
+    const store = useSoundStore.getState();
+    const dbIds = preset.libraryItemDbIds || [];
+
+    const stored = await getByIdsFromDb(dbIds, dbName);
+    const storedById = new Map(stored.map((item) => [item.id, item]));
+
+    // Placeholders first, in library order
+    const entries = dbIds.map((dbId) => {
+      const key = String(dbId);
+      let item = storedById.get(dbId) || null;
+      let stale = null;
+      // Stored copy differs from the published file → download again
+      const published = audioHashes[key] != null || audioSizes[key] != null;
+      if (item && published && !isSameAudio(item, { audioHashes, audioSizes })) {
+        stale = item;
+        item = null;
+      }
+      const name = item?.name || stale?.name || audioNames[key] || `sound-${dbId}`;
+      return { dbId, key, item, stale, name, libId: store.addPendingLibraryItem(name, dbId) };
+    });
+
+    const download = async (dbId, key, name, libId) => {
+      if (!baseUrl) throw new Error(`Sound ${dbId} is not in ${dbName || 'the library'}`);
+      // Content hash in the URL busts the HTTP cache after a republish
+      const version = audioHashes[key] ? `${audioHashes[key].slice(0, 12)}${keyId ? `-${keyId}` : ''}` : null;
+      const query = version ? `?v=${version}` : '';
+      let arrayBuffer = await fetchWithProgress(`${baseUrl}${dbId}.bin${query}`, (progress) => {
+        store.setLibraryItemProgress(libId, progress);
+      });
+      if (cryptoKey) arrayBuffer = await decryptFile(arrayBuffer, cryptoKey, `${dbId}.bin`);
+      const fields = {
+        gainTrim: clampGainTrim(audioGainTrims[key] ?? 0),
+        sourceBpm: audioTempos[key]?.sourceBpm ?? null,
+        loopBars: audioTempos[key]?.loopBars ?? null,
+        contentHash: audioHashes[key] ?? null,
+      };
+      await saveToDbWithId(dbId, name, arrayBuffer, dbName, fields);
+      return { id: dbId, name, audioData: arrayBuffer, ...fields };
+    };
+
+    await Promise.all(entries.map(async ({ dbId, key, item, stale, name, libId }) => {
+      try {
+        if (!item) {
+          try {
+            item = await download(dbId, key, name, libId);
+          } catch (err) {
+            // Offline or a failed fetch: the old version beats no sound
+            if (!stale) throw err;
+            console.warn('[Library] Download failed, using the stored copy of', name, err);
+            item = stale;
+          }
+        }
+        store.setLibraryItemProgress(libId, 1);
+
+        const { audioBuffer, inputLufs } = await decodeAudio(item.audioData, item.inputLufs ?? null);
+        // Cache the measurement so reloads don't re-measure
+        if (item.inputLufs == null) {
+          updateLibraryItem(dbId, { inputLufs }, dbName).catch(console.error);
+        }
+        store.resolveLibraryItem(libId, audioBuffer, {
+          inputLufs,
+          gainTrim: clampGainTrim(item.gainTrim ?? 0),
+          sourceBpm: item.sourceBpm ?? null,
+          loopBars: item.loopBars ?? null,
+          analysis: item.analysis ?? null,
+        });
+      } catch (err) {
+        console.error('Failed to load audio:', name, err);
+        store.removeFromLibrary(libId);
+      }
+    }));
+
+    console.log(`[Library] Loaded ${entries.length} items for preset "${preset.name}"`);
+    // Preset may have been switched while loading
+    if (useSoundStore.getState().activePresetId === preset.id) {
+      store.restoreOrbLayout(preset.orbLayout);
+    }
+  }, [decodeAudio]);
+
+  return { loadPresetLibrary };
+}
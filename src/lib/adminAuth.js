@@ -0,0 +1,142 @@
+// Admin access gate
+// The passphrase itself is never shipped: the build gets a PBKDF2 hash
+// (VITE_ADMIN_PASS_HASH, made with `npm run admin-hash -- <passphrase>`)
+// and the entered passphrase is checked against it with WebCrypto.
+// A successful login starts a session in sessionStorage (per tab, expires);
+// repeated failures lock the form for a growing amount of time.
+//
+// What actually protects the passphrase is the PBKDF2 cost of trying one: the
+// hash ships in the bundle, so an attacker can brute-force it offline. The
+// session and the lockout run in the browser and can be forged or cleared in
+// devtools — they are conveniences, and the admin code itself is not secret
+// (shares only contain what was exported).
+//
+// Hash format: pbkdf2-sha256$<iterations>$<salt base64>$<hash base64>
+
+const PBKDF2_ITERATIONS = 600000;
+const SESSION_KEY = 'vsm-admin-session';
+const LOCKOUT_KEY = 'vsm-admin-lockout';
+const SESSION_HOURS = 12;
+const FAILURES_PER_LOCK = 5;
+const LOCK_MINUTES = 5; // doubles with every further lock
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (str) => Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+
+async function pbkdf2(passphrase, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+  );
+  return crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Compare without bailing out on the first differing byte
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+function parseHash(encoded) {
+  const [scheme, iterations, salt, hash] = (encoded || '').split('$');
+  if (scheme !== 'pbkdf2-sha256' || !iterations || !salt || !hash) return null;
+  return { iterations: parseInt(iterations, 10), salt: fromBase64(salt), hash: fromBase64(hash) };
+}
+
+function getConfiguredHash() {
+  return import.meta.env?.VITE_ADMIN_PASS_HASH || null;
+}
+
+// Used by scripts/admin-hash.js to produce VITE_ADMIN_PASS_HASH
+export async function createPassphraseHash(passphrase, iterations = PBKDF2_ITERATIONS) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(passphrase, salt, iterations);
+  return `pbkdf2-sha256$${iterations}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+/**
+ * How the gate behaves in this build:
+ * - 'hash': passphrase required
+ * - 'open': no hash configured in a dev build — no gate
+ * - 'unconfigured': production build without a hash — admin stays locked
+ */
+export function getAdminGateMode() {
+  if (parseHash(getConfiguredHash())) return 'hash';
+  return import.meta.env?.DEV ? 'open' : 'unconfigured';
+}
+
+export async function verifyPassphrase(passphrase) {
+  const config = parseHash(getConfiguredHash());
+  if (!config) return false;
+  const hash = new Uint8Array(await pbkdf2(passphrase, config.salt, config.iterations));
+  return constantTimeEqual(hash, config.hash);
+}
+
+// ===== Session =====
+
+// Not a signature — it's built from the hash in the bundle, so anyone can make
+// one. It only ties a session to the configured hash: a new passphrase ends
+// all sessions
+async function sessionFingerprint(nonce, expires) {
+  return sha256Hex(`${getConfiguredHash()}|${nonce}|${expires}`);
+}
+
+export async function startSession() {
+  const nonce = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  const expires = Date.now() + SESSION_HOURS * 3600 * 1000;
+  const signature = await sessionFingerprint(nonce, expires);
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify({ nonce, expires, signature }));
+}
+
+export async function hasValidSession() {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    if (!session || session.expires < Date.now()) return false;
+    return session.signature === await sessionFingerprint(session.nonce, session.expires);
+  } catch {
+    return false;
+  }
+}
+
+export function endSession() {
+  sessionStorage.removeItem(SESSION_KEY);
+}
+
+// ===== Lockout =====
+// Slows down guessing in the form only; localStorage can be cleared, and an
+// offline attack on the bundled hash never meets it
+
+function readLockout() {
+  try {
+    return JSON.parse(localStorage.getItem(LOCKOUT_KEY)) || { failures: 0, locks: 0, lockedUntil: 0 };
+  } catch {
+    return { failures: 0, locks: 0, lockedUntil: 0 };
+  }
+}
+
+// ms until the form unlocks (0 = not locked)
+export function getLockoutRemaining() {
+  return Math.max(0, readLockout().lockedUntil - Date.now());
+}
+
+export function registerFailure() {
+  const state = readLockout();
+  state.failures++;
+  if (state.failures >= FAILURES_PER_LOCK) {
+    state.lockedUntil = Date.now() + LOCK_MINUTES * 60 * 1000 * 2 ** state.locks;
+    state.locks++;
+    state.failures = 0;
+  }
+  localStorage.setItem(LOCKOUT_KEY, JSON.stringify(state));
+  return FAILURES_PER_LOCK - state.failures;
+}
+
+export function clearFailures() {
+  localStorage.removeItem(LOCKOUT_KEY);
+}
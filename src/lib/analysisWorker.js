@@ -0,0 +1,17 @@
+// Web Worker for tempo / key analysis of imported sounds, off the main thread.
+//
+// Messages:
+//   { id, channels, sampleRate, beatsPerBar }   (transferred Float32Arrays)
+//     → { id, analysis }   (see audioAnalysis.analyzeAudio)
+// Failures reply { id, error }.
+
+import { analyzeAudio } from './audioAnalysis';
+
+self.onmessage = (e) => {
+  const { id, channels, sampleRate, beatsPerBar } = e.data;
+  try {
+    self.postMessage({ id, analysis: analyzeAudio(channels, sampleRate, beatsPerBar) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
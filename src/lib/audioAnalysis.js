@@ -0,0 +1,275 @@
+// Musical analysis of an imported sound: tempo, key and loop length.
+// Runs in the analysis worker (analysisWorker). Pure functions, no Web Audio deps.
+//
+// - tempo: spectral-flux onset envelope → autocorrelation, weighted towards 120 BPM
+// - loop length: whole bars at that tempo; when the sound fits, the tempo is
+//   refined to the exact loop length
+// - key: chroma vector → Krumhansl-Schmuckler major/minor profiles
+
+import { bpmToBars, barsToBpm } from './tempo';
+
+const ANALYSIS_RATE = 22050; // approximate working rate after decimation
+const MAX_SECONDS = 60; // longer sounds: the first minute tells enough
+
+const ONSET_FFT = 1024;
+const ONSET_HOP = 256;
+const BPM_MIN = 60;
+const BPM_MAX = 200;
+const BPM_MIN_CONFIDENCE = 0.5; // below this the envelope has no clear pulse (noise, pads)
+const LOOP_TOLERANCE = 0.04; // relative BPM difference that still counts as whole bars
+
+const CHROMA_FFT = 8192;
+const CHROMA_HOP = 4096;
+const CHROMA_MIN_FREQ = 65; // C2
+const CHROMA_MAX_FREQ = 2100; // C7
+const KEY_MIN_CONFIDENCE = 0.7;
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// ===== FFT =====
+
+// In-place iterative radix-2 FFT (re/im length = power of two)
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+function hann(size) {
+  const w = new Float64Array(size);
+  for (let i = 0; i < size; i++) w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+  return w;
+}
+
+// Magnitude spectra of successive windowed frames → callback(mags, frameIndex)
+function forEachSpectrum(samples, size, hop, callback) {
+  const window = hann(size);
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  const mags = new Float64Array(size / 2);
+  for (let start = 0, frame = 0; start + size <= samples.length; start += hop, frame++) {
+    for (let i = 0; i < size; i++) {
+      re[i] = samples[start + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let k = 0; k < size / 2; k++) mags[k] = Math.hypot(re[k], im[k]);
+    callback(mags, frame);
+  }
+}
+
+// ===== Preparation =====
+
+// Mono mix, decimated to about ANALYSIS_RATE by averaging (crude low-pass)
+function prepareMono(channels, sampleRate) {
+  const factor = Math.max(1, Math.floor(sampleRate / ANALYSIS_RATE));
+  const rate = sampleRate / factor;
+  const length = Math.min(Math.floor(channels[0].length / factor), Math.floor(MAX_SECONDS * rate));
+  const mono = new Float32Array(length);
+  const scale = 1 / (factor * channels.length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (const data of channels) {
+      for (let j = 0; j < factor; j++) sum += data[i * factor + j];
+    }
+    mono[i] = sum * scale;
+  }
+  return { mono, rate };
+}
+
+// ===== Tempo =====
+
+// Spectral flux on log magnitudes, local mean removed, half-wave rectified
+function onsetEnvelope(mono) {
+  const flux = [];
+  let previous = null;
+  forEachSpectrum(mono, ONSET_FFT, ONSET_HOP, (mags) => {
+    const log = mags.map((m) => Math.log1p(100 * m));
+    let sum = 0;
+    if (previous) {
+      for (let k = 0; k < log.length; k++) sum += Math.max(0, log[k] - previous[k]);
+    }
+    flux.push(sum);
+    previous = log;
+  });
+
+  const radius = 8; // ~0.1 s at the onset frame rate
+  const envelope = new Float64Array(flux.length);
+  for (let i = 0; i < flux.length; i++) {
+    let mean = 0;
+    let count = 0;
+    for (let j = Math.max(0, i - radius); j <= Math.min(flux.length - 1, i + radius); j++) {
+      mean += flux[j];
+      count++;
+    }
+    envelope[i] = Math.max(0, flux[i] - mean / count);
+  }
+  return envelope;
+}
+
+/**
+ * Tempo from the onset envelope's autocorrelation.
+ * @returns {{ bpm: number, confidence: number } | null}
+ */
+function detectTempo(envelope, frameRate) {
+  const minLag = Math.floor((frameRate * 60) / BPM_MAX);
+  const maxLag = Math.ceil((frameRate * 60) / BPM_MIN);
+  if (envelope.length < maxLag * 2) return null;
+
+  let energy = 0;
+  for (const v of envelope) energy += v * v;
+  if (energy === 0) return null;
+
+  const ac = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < envelope.length; i++) sum += envelope[i] * envelope[i + lag];
+    ac[lag] = sum / (envelope.length - lag);
+  }
+
+  // Perceptual prior: tempi near 120 BPM win over their half/double
+  let bestLag = -1;
+  let bestScore = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = (frameRate * 60) / lag;
+    const weight = Math.exp(-0.5 * (Math.log2(bpm / 120) / 0.9) ** 2);
+    const score = ac[lag] * weight;
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  if (bestLag < 0) return null;
+
+  // Parabolic interpolation around the peak for sub-frame precision
+  const [a, b, c] = [ac[bestLag - 1], ac[bestLag], ac[bestLag + 1]];
+  const denominator = a - 2 * b + c;
+  const offset = denominator ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / denominator)) : 0;
+  const bpm = (frameRate * 60) / (bestLag + offset);
+  const confidence = Math.max(0, Math.min(1, ac[bestLag] / (energy / envelope.length)));
+  return { bpm, confidence };
+}
+
+// Whole bars at (about) this tempo → exact loop tempo, else null
+function fitLoop(duration, bpm, beatsPerBar) {
+  const bars = bpmToBars(duration, bpm, beatsPerBar);
+  if (!bars) return null;
+  const loopBpm = barsToBpm(duration, bars, beatsPerBar);
+  if (Math.abs(loopBpm - bpm) / bpm > LOOP_TOLERANCE) return null;
+  return { bars, bpm: loopBpm };
+}
+
+// ===== Key =====
+
+function chromaVector(mono, rate) {
+  const chroma = new Float64Array(12);
+  const binHz = rate / CHROMA_FFT;
+  const minBin = Math.ceil(CHROMA_MIN_FREQ / binHz);
+  const maxBin = Math.min(CHROMA_FFT / 2 - 1, Math.floor(CHROMA_MAX_FREQ / binHz));
+  const pitchClass = new Int8Array(maxBin + 1);
+  for (let k = minBin; k <= maxBin; k++) {
+    const midi = 69 + 12 * Math.log2((k * binHz) / 440);
+    pitchClass[k] = ((Math.round(midi) % 12) + 12) % 12;
+  }
+  forEachSpectrum(mono, CHROMA_FFT, CHROMA_HOP, (mags) => {
+    for (let k = minBin; k <= maxBin; k++) chroma[pitchClass[k]] += mags[k] * mags[k];
+  });
+  return chroma;
+}
+
+function correlation(a, b) {
+  const n = a.length;
+  const meanA = a.reduce((s, v) => s + v, 0) / n;
+  const meanB = b.reduce((s, v) => s + v, 0) / n;
+  let num = 0;
+  let denA = 0;
+  let denB = 0;
+  for (let i = 0; i < n; i++) {
+    num += (a[i] - meanA) * (b[i] - meanB);
+    denA += (a[i] - meanA) ** 2;
+    denB += (b[i] - meanB) ** 2;
+  }
+  return denA && denB ? num / Math.sqrt(denA * denB) : 0;
+}
+
+/**
+ * Best matching key for a chroma vector.
+ * @returns {{ key: string, confidence: number }} - e.g. 'A minor'
+ */
+function detectKey(chroma) {
+  let best = { key: null, confidence: 0 };
+  for (let tonic = 0; tonic < 12; tonic++) {
+    // Chroma rotated so the candidate tonic is at index 0
+    const rotated = Array.from({ length: 12 }, (_, i) => chroma[(i + tonic) % 12]);
+    for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+      const r = correlation(rotated, profile);
+      if (r > best.confidence) best = { key: `${NOTE_NAMES[tonic]} ${mode}`, confidence: r };
+    }
+  }
+  return best;
+}
+
+// ===== Public API =====
+
+/**
+ * Analyze a decoded sound.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {number} [beatsPerBar] - quarter notes per bar of the preset (see lib/tempo)
+ * @returns {{ bpm: number|null, bpmConfidence: number, loopBars: number|null,
+ *   key: string|null, keyConfidence: number }}
+ *   bpm is rounded to 0.01 (exact when the sound is a whole-bar loop); bpm and
+ *   key are null when nothing fits well (pads, drums, noise)
+ */
+export function analyzeAudio(channels, sampleRate, beatsPerBar = 4) {
+  const duration = channels[0].length / sampleRate;
+  const { mono, rate } = prepareMono(channels, sampleRate);
+
+  const tempo = detectTempo(onsetEnvelope(mono), rate / ONSET_HOP);
+  let bpm = tempo && tempo.confidence >= BPM_MIN_CONFIDENCE ? tempo.bpm : null;
+  let loopBars = null;
+  if (bpm) {
+    // Only the whole sound can be a loop; the analysis window may be shorter
+    const loop = fitLoop(duration, bpm, beatsPerBar);
+    if (loop) {
+      bpm = loop.bpm;
+      loopBars = loop.bars;
+    }
+    bpm = Math.round(bpm * 100) / 100;
+  }
+
+  const { key, confidence: keyConfidence } = detectKey(chromaVector(mono, rate));
+  return {
+    bpm,
+    bpmConfidence: tempo?.confidence ?? 0,
+    loopBars,
+    key: keyConfidence >= KEY_MIN_CONFIDENCE ? key : null,
+    keyConfidence,
+  };
+}
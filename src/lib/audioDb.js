@@ -2,16 +2,23 @@
 // Stores raw ArrayBuffers (AudioBuffers can't be serialized)
 //
 // Two DB types:
-// - Admin DB ("visual-sound-mixer"): presets, library, shares — admin only
-// - Player DB ("vsm-player-{shareId}"): presets + library per share session
+// - Admin DB ("visual-sound-mixer"): presets, library, recordings, impulses, shares — admin only
+// - Player DB ("vsm-player-{shareId}"): presets + library + recordings + impulses per share session,
+//   plus the version of the share it was last synced with
+
+import { isSameAudio } from './shareVersion';
 
 const DB_NAME = 'visual-sound-mixer';
-const DB_VERSION = 3;
+const DB_VERSION = 5;
 const LIBRARY_STORE = 'library';
 const PRESETS_STORE = 'presets';
+const RECORDINGS_STORE = 'recordings';
+const IMPULSES_STORE = 'impulses';
 const SHARES_STORE = 'shares';
+const SHARE_INFO_STORE = 'shareInfo';
+const SHARE_INFO_KEY = 'current';
 
-const PLAYER_DB_VERSION = 1;
+const PLAYER_DB_VERSION = 4;
 
 function openDb(dbName = DB_NAME, version = DB_VERSION) {
   return new Promise((resolve, reject) => {
@@ -24,10 +31,20 @@ function openDb(dbName = DB_NAME, version = DB_VERSION) {
       if (!db.objectStoreNames.contains(PRESETS_STORE)) {
         db.createObjectStore(PRESETS_STORE, { keyPath: 'id', autoIncrement: true });
       }
+      if (!db.objectStoreNames.contains(RECORDINGS_STORE)) {
+        db.createObjectStore(RECORDINGS_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(IMPULSES_STORE)) {
+        db.createObjectStore(IMPULSES_STORE, { keyPath: 'id', autoIncrement: true });
+      }
       // Shares store only in admin DB
       if (dbName === DB_NAME && !db.objectStoreNames.contains(SHARES_STORE)) {
         db.createObjectStore(SHARES_STORE, { keyPath: 'id' });
       }
+      // Synced share version only in player DBs
+      if (dbName !== DB_NAME && !db.objectStoreNames.contains(SHARE_INFO_STORE)) {
+        db.createObjectStore(SHARE_INFO_STORE, { keyPath: 'key' });
+      }
     };
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
@@ -40,12 +57,14 @@ function playerDbName(shareId) {
 
 // ===== Library (audio files) =====
 
-export async function saveToDb(name, arrayBuffer, dbName = DB_NAME) {
+// fields: extra per-item data stored with the audio (inputLufs, gainTrim, sourceBpm, loopBars,
+// analysis — detected tempo / key, see lib/audioAnalysis)
+export async function saveToDb(name, arrayBuffer, dbName = DB_NAME, fields = {}) {
   const db = await openDb(dbName, dbName === DB_NAME ? DB_VERSION : PLAYER_DB_VERSION);
   return new Promise((resolve, reject) => {
     const tx = db.transaction(LIBRARY_STORE, 'readwrite');
     const store = tx.objectStore(LIBRARY_STORE);
-    const req = store.add({ name, audioData: arrayBuffer });
+    const req = store.add({ name, audioData: arrayBuffer, ...fields });
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
   });
@@ -78,6 +97,26 @@ export async function getByIdsFromDb(ids, dbName = DB_NAME) {
   return results;
 }
 
+// Merge fields into a library record (gain trim, cached inputLufs)
+export async function updateLibraryItem(id, changes, dbName = DB_NAME) {
+  const db = await openDb(dbName, dbName === DB_NAME ? DB_VERSION : PLAYER_DB_VERSION);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(LIBRARY_STORE, 'readwrite');
+    const store = tx.objectStore(LIBRARY_STORE);
+    const getReq = store.get(id);
+    getReq.onsuccess = () => {
+      if (!getReq.result) {
+        resolve();
+        return;
+      }
+      const putReq = store.put({ ...getReq.result, ...changes });
+      putReq.onsuccess = () => resolve();
+      putReq.onerror = () => reject(putReq.error);
+    };
+    getReq.onerror = () => reject(getReq.error);
+  });
+}
+
 export async function removeFromDb(id, dbName = DB_NAME) {
   const db = await openDb(dbName, dbName === DB_NAME ? DB_VERSION : PLAYER_DB_VERSION);
   return new Promise((resolve, reject) => {
@@ -124,6 +163,98 @@ export async function deletePreset(id, dbName = DB_NAME) {
   });
 }
 
+// ===== Recordings (automation takes, linked to a preset) =====
+// In a player DB the share's published takes are keyed 'shared-{admin id}' (shared: true),
+// apart from the numeric ids of the player's own takes
+
+// Point a recorded take at new preset + sound ids (dbIds without a mapping become null)
+export function remapRecording(recording, presetId, remapDbId) {
+  const { id: _oldId, ...take } = recording;
+  const remapOrb = (orb) => ({ ...orb, dbId: remapDbId(orb.dbId) });
+  return {
+    ...take,
+    presetId,
+    initial: take.initial && { ...take.initial, orbs: (take.initial.orbs || []).map(remapOrb) },
+    events: (take.events || []).map((event) =>
+      event.orb ? { ...event, orb: remapOrb(event.orb) } : event
+    ),
+  };
+}
+
+async function getAllRecordings(dbName) {
+  const db = await openDb(dbName, dbName === DB_NAME ? DB_VERSION : PLAYER_DB_VERSION);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(RECORDINGS_STORE, 'readonly');
+    const store = tx.objectStore(RECORDINGS_STORE);
+    const req = store.getAll();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function saveRecording(recording, dbName = DB_NAME) {
+  const db = await openDb(dbName, dbName === DB_NAME ? DB_VERSION : PLAYER_DB_VERSION);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(RECORDINGS_STORE, 'readwrite');
+    const store = tx.objectStore(RECORDINGS_STORE);
+    const req = store.put(recording); // put = upsert, assigns id when missing
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function getRecordingsForPresets(presetIds, dbName = DB_NAME) {
+  const all = await getAllRecordings(dbName);
+  return all.filter((r) => presetIds.includes(r.presetId));
+}
+
+export async function deleteRecording(id, dbName = DB_NAME) {
+  const db = await openDb(dbName, dbName === DB_NAME ? DB_VERSION : PLAYER_DB_VERSION);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(RECORDINGS_STORE, 'readwrite');
+    const store = tx.objectStore(RECORDINGS_STORE);
+    const req = store.delete(id);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// ===== Impulse responses (uploaded reverb IRs, stored like audio files) =====
+
+export async function saveImpulse(name, arrayBuffer, dbName = DB_NAME) {
+  const db = await openDb(dbName, dbName === DB_NAME ? DB_VERSION : PLAYER_DB_VERSION);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IMPULSES_STORE, 'readwrite');
+    const store = tx.objectStore(IMPULSES_STORE);
+    const req = store.add({ name, audioData: arrayBuffer });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Save an IR with a specific ID (for share import)
+export async function saveImpulseWithId(id, name, arrayBuffer, dbName) {
+  const db = await openDb(dbName, dbName === DB_NAME ? DB_VERSION : PLAYER_DB_VERSION);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IMPULSES_STORE, 'readwrite');
+    const store = tx.objectStore(IMPULSES_STORE);
+    const req = store.put({ id, name, audioData: arrayBuffer });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function getImpulse(id, dbName = DB_NAME) {
+  const db = await openDb(dbName, dbName === DB_NAME ? DB_VERSION : PLAYER_DB_VERSION);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IMPULSES_STORE, 'readonly');
+    const store = tx.objectStore(IMPULSES_STORE);
+    const req = store.get(id);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
 // ===== Shares (admin DB only) =====
 
 export async function saveShare(share) {
@@ -187,17 +318,54 @@ export async function getPresetsByIds(ids) {
 }
 
 // Save audio item with a specific ID (for inline share import)
-export async function saveToDbWithId(id, name, arrayBuffer, dbName) {
+export async function saveToDbWithId(id, name, arrayBuffer, dbName, fields = {}) {
   const db = await openDb(dbName, dbName === DB_NAME ? DB_VERSION : PLAYER_DB_VERSION);
   return new Promise((resolve, reject) => {
     const tx = db.transaction(LIBRARY_STORE, 'readwrite');
     const store = tx.objectStore(LIBRARY_STORE);
-    const req = store.put({ id, name, audioData: arrayBuffer });
+    const req = store.put({ id, name, audioData: arrayBuffer, ...fields });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// ===== Project backup (whole admin DB) =====
+
+// Every admin store, in restore order (sounds/IRs before what references them)
+export const BACKUP_STORES = [LIBRARY_STORE, IMPULSES_STORE, PRESETS_STORE, RECORDINGS_STORE, SHARES_STORE];
+export const ADMIN_DB_VERSION = DB_VERSION;
+
+export async function getAllRecords(storeName) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const store = tx.objectStore(storeName);
+    const req = store.getAll();
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
   });
 }
 
+// Write records into several stores in one transaction: everything lands or,
+// on any failure, nothing does. recordsByStore: { storeName: records };
+// clear empties those stores first (a replace). Records without id get one
+// (autoIncrement stores)
+export async function putStores(recordsByStore, { clear = false } = {}) {
+  const db = await openDb();
+  const storeNames = Object.keys(recordsByStore);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, 'readwrite');
+    for (const storeName of storeNames) {
+      const store = tx.objectStore(storeName);
+      if (clear) store.clear();
+      for (const record of recordsByStore[storeName]) store.put(record);
+    }
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
 // ===== Player DB functions =====
 
 // Sync shared presets + audio from admin DB to player DB
@@ -240,6 +408,146 @@ export async function syncShareToPlayerDb(shareId, presets) {
   return pDbName;
 }
 
+// Version info of the share a player DB was last synced with: { version, audioIds } or null
+async function getShareInfo(dbName) {
+  const db = await openDb(dbName, PLAYER_DB_VERSION);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SHARE_INFO_STORE, 'readonly');
+    const store = tx.objectStore(SHARE_INFO_STORE);
+    const req = store.get(SHARE_INFO_KEY);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function saveShareInfo(info, dbName) {
+  const db = await openDb(dbName, PLAYER_DB_VERSION);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SHARE_INFO_STORE, 'readwrite');
+    const store = tx.objectStore(SHARE_INFO_STORE);
+    const req = store.put({ ...info, key: SHARE_INFO_KEY });
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Bring a player DB in line with a (re)published share's meta.json.
+ * When the version changed: unpublished shared presets are removed, withdrawn
+ * sounds are purged (changed ones are kept until useShareLibrary has
+ * downloaded the new file), the player's
+ * own presets/sounds are moved off ids the new publication now uses (their
+ * takes follow), and withdrawn shared takes are removed.
+ * Shared presets and takes are only (over)written when the version changed,
+ * so a player's tweaks survive reloads of the same publication.
+ * @returns {Promise<boolean>} true when the share was (re)synced
+ */
+export async function syncPlayerDbWithShare(meta, dbName) {
+  const info = await getShareInfo(dbName);
+  // Exports without a version can't be compared — always resync those
+  if (meta.version && info?.version === meta.version) return false;
+
+  const presets = await getAllPresets(dbName);
+  const playerPresets = presets.filter((p) => !p.shared);
+  const publishedPresetIds = new Set(meta.presets.map((p) => p.id));
+  const publishedAudioIds = new Set(
+    meta.presets.flatMap((p) => p.libraryItemDbIds || [])
+  );
+  // Older player DBs have no record of what was published: use the shared presets
+  const previousAudioIds = new Set(
+    info?.audioIds || presets.filter((p) => p.shared).flatMap((p) => p.libraryItemDbIds || [])
+  );
+
+  // 1. Shared presets that are no longer published
+  for (const preset of presets) {
+    if (preset.shared && !publishedPresetIds.has(preset.id)) {
+      await deletePreset(preset.id, dbName);
+    }
+  }
+
+  // 2. Sounds
+  const storedAudio = await getAllFromDb(dbName);
+  let nextAudioId = Math.max(0, ...storedAudio.map((item) => item.id), ...publishedAudioIds) + 1;
+  const audioRemap = new Map();
+  for (const item of storedAudio) {
+    if (previousAudioIds.has(item.id)) {
+      if (publishedAudioIds.has(item.id)) {
+        // Still published: keep the copy — a changed sound is replaced by the
+        // library loader once its download worked, so going offline costs nothing.
+        // Unversioned shares can't be compared and count as unchanged
+        const key = String(item.id);
+        const comparable = meta.audioHashes?.[key] != null || meta.audioSizes?.[key] != null;
+        if (!comparable || isSameAudio(item, meta)) {
+          // Same audio, but the loop tempo may have been corrected since
+          const tempo = meta.audioTempos?.[key];
+          await updateLibraryItem(item.id, { sourceBpm: tempo?.sourceBpm ?? null, loopBars: tempo?.loopBars ?? null }, dbName);
+        }
+        continue;
+      }
+      // Withdrawn from the share but still used in a player's own preset: keep it
+      const usedByPlayer = playerPresets.some((p) => (p.libraryItemDbIds || []).includes(item.id));
+      if (usedByPlayer) continue;
+      await removeFromDb(item.id, dbName);
+    } else if (publishedAudioIds.has(item.id)) {
+      // The player's own import sits on an id the share now uses: move it
+      const { id, name, audioData, ...fields } = item;
+      const newId = nextAudioId++;
+      await saveToDbWithId(newId, name, audioData, dbName, fields);
+      await removeFromDb(id, dbName);
+      audioRemap.set(id, newId);
+    }
+  }
+
+  // 3. Player-created presets: follow moved sounds, move off published preset ids
+  const remapId = (dbId) => audioRemap.get(dbId) ?? dbId;
+  const presetRemap = new Map();
+  let nextPresetId = Math.max(0, ...presets.map((p) => p.id), ...publishedPresetIds) + 1;
+  for (const preset of playerPresets) {
+    const migrated = {
+      ...preset,
+      libraryItemDbIds: (preset.libraryItemDbIds || []).map(remapId),
+      orbLayout: (preset.orbLayout || []).map((o) => ({ ...o, dbId: remapId(o.dbId) })),
+    };
+    if (publishedPresetIds.has(preset.id)) {
+      await deletePreset(preset.id, dbName);
+      migrated.id = nextPresetId++;
+      presetRemap.set(preset.id, migrated.id);
+    }
+    await savePreset(migrated, dbName);
+  }
+
+  // 4. Takes: the player's own follow their preset and sounds; shared ones are
+  // replaced by the publication (withdrawn takes disappear)
+  const publishedTakes = meta.recordings || [];
+  const isPublishedTake = (r) =>
+    publishedTakes.some((p) => p.id === r.id && p.name === r.name && p.presetId === r.presetId);
+  for (const recording of await getAllRecordings(dbName)) {
+    // Older player DBs stored shared takes under their admin id
+    if (recording.shared || isPublishedTake(recording)) {
+      await deleteRecording(recording.id, dbName);
+      continue;
+    }
+    const presetId = presetRemap.get(recording.presetId) ?? recording.presetId;
+    const usesMovedSound = [...(recording.initial?.orbs || []), ...(recording.events || []).map((e) => e.orb)]
+      .some((orb) => orb && audioRemap.has(orb.dbId));
+    if (presetId !== recording.presetId || usesMovedSound) {
+      await saveRecording({ ...remapRecording(recording, presetId, remapId), id: recording.id }, dbName);
+    }
+  }
+
+  // 5. Published presets + takes
+  for (const preset of meta.presets) {
+    await savePreset({ ...preset, shared: true }, dbName);
+  }
+  for (const recording of publishedTakes) {
+    await saveRecording({ ...recording, id: `shared-${recording.id}`, shared: true }, dbName);
+  }
+
+  await saveShareInfo({ version: meta.version || null, audioIds: [...publishedAudioIds] }, dbName);
+  console.log(`[Share] Player DB synced to version ${meta.version || '(unversioned)'}`);
+  return true;
+}
+
 // Get all presets from player DB
 export async function getPlayerPresets(shareId) {
   return getAllPresets(playerDbName(shareId));
@@ -0,0 +1,194 @@
+// Compact audio for share exports
+// - flac: lossless, our own encoder in a Web Worker (16 or 24 bit)
+// - opus: lossy Ogg Opus via the browser's WebCodecs AudioEncoder (kbps)
+// The format of every encoded file is declared in meta.json (audioFormats),
+// so the player can check it is decodable before downloading anything.
+
+import { muxOggOpus } from './oggOpus';
+import FlacWorker from './flacWorker.js?worker';
+
+export const AUDIO_FORMATS = {
+  original: { label: 'Origineel (ongewijzigd)' },
+  flac: {
+    label: 'FLAC (lossless)',
+    mimeType: 'audio/flac',
+    qualities: [16, 24],
+    defaultQuality: 16,
+    qualityLabel: (q) => `${q} bit`,
+  },
+  opus: {
+    label: 'Opus (lossy)',
+    mimeType: 'audio/ogg; codecs=opus',
+    qualities: [64, 96, 128, 192, 256],
+    defaultQuality: 128,
+    qualityLabel: (q) => `${q} kbps`,
+  },
+};
+
+export const DEFAULT_AUDIO_FORMAT = 'original';
+
+const OPUS_RATE = 48000;
+const OPUS_PRE_SKIP = 312; // libopus lookahead at 48 kHz
+const ENCODE_CHUNK = OPUS_RATE; // frames per AudioData
+
+const flacWorkerRef = { current: null };
+const flacTasks = new Map();
+let nextFlacTaskId = 1;
+
+function runFlacTask(audioBuffer, bitsPerSample) {
+  if (!flacWorkerRef.current) {
+    const worker = new FlacWorker();
+    worker.onmessage = (e) => {
+      const task = flacTasks.get(e.data.id);
+      if (!task) return;
+      flacTasks.delete(e.data.id);
+      if (e.data.error) task.reject(new Error(e.data.error));
+      else task.resolve(e.data.data);
+    };
+    flacWorkerRef.current = worker;
+  }
+
+  const channels = [];
+  for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+    channels.push(audioBuffer.getChannelData(ch).slice());
+  }
+  const id = nextFlacTaskId++;
+  return new Promise((resolve, reject) => {
+    flacTasks.set(id, { resolve, reject });
+    flacWorkerRef.current.postMessage(
+      { id, channels, sampleRate: audioBuffer.sampleRate, bitsPerSample },
+      channels.map((data) => data.buffer)
+    );
+  });
+}
+
+// Sample rate from a WAV header, so FLAC keeps the source rate (null if not WAV)
+function getWavSampleRate(arrayBuffer) {
+  if (arrayBuffer.byteLength < 44) return null;
+  const view = new DataView(arrayBuffer);
+  const tag = (offset) => String.fromCharCode(...new Uint8Array(arrayBuffer, offset, 4));
+  if (tag(0) !== 'RIFF' || tag(8) !== 'WAVE') return null;
+
+  let offset = 12;
+  while (offset + 8 <= arrayBuffer.byteLength) {
+    const size = view.getUint32(offset + 4, true);
+    if (tag(offset) === 'fmt ') return view.getUint32(offset + 12, true);
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+// Decode at a fixed rate (decodeAudioData resamples to the context's rate)
+async function decodeAt(arrayBuffer, sampleRate) {
+  const ctx = new OfflineAudioContext(1, 1, sampleRate);
+  return ctx.decodeAudioData(arrayBuffer.slice(0));
+}
+
+// Whether this browser can encode Opus (WebCodecs)
+export async function isOpusEncodingSupported() {
+  if (typeof AudioEncoder === 'undefined') return false;
+  try {
+    const { supported } = await AudioEncoder.isConfigSupported({
+      codec: 'opus', sampleRate: OPUS_RATE, numberOfChannels: 2, bitrate: 128000,
+    });
+    return supported;
+  } catch {
+    return false;
+  }
+}
+
+async function encodeOpus(audioBuffer, kbps) {
+  const numberOfChannels = Math.min(2, audioBuffer.numberOfChannels);
+  const packets = [];
+  let preSkip = OPUS_PRE_SKIP;
+  let encodeError = null;
+
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      // Some browsers hand out an OpusHead with the real pre-skip
+      const description = metadata?.decoderConfig?.description;
+      if (description && description.byteLength >= 12) {
+        const head = description instanceof ArrayBuffer
+          ? new DataView(description)
+          : new DataView(description.buffer, description.byteOffset, description.byteLength);
+        preSkip = head.getUint16(10, true);
+      }
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      // 20 ms frames unless the encoder says otherwise
+      const samples = chunk.duration ? Math.round((chunk.duration * OPUS_RATE) / 1e6) : 960;
+      packets.push({ data, samples });
+    },
+    error: (err) => { encodeError = err; },
+  });
+  encoder.configure({ codec: 'opus', sampleRate: OPUS_RATE, numberOfChannels, bitrate: kbps * 1000 });
+
+  for (let start = 0; start < audioBuffer.length; start += ENCODE_CHUNK) {
+    const frames = Math.min(ENCODE_CHUNK, audioBuffer.length - start);
+    const planar = new Float32Array(frames * numberOfChannels);
+    for (let ch = 0; ch < numberOfChannels; ch++) {
+      planar.set(audioBuffer.getChannelData(ch).subarray(start, start + frames), ch * frames);
+    }
+    const audioData = new AudioData({
+      format: 'f32-planar',
+      sampleRate: OPUS_RATE,
+      numberOfFrames: frames,
+      numberOfChannels,
+      timestamp: Math.round((start / OPUS_RATE) * 1e6),
+      data: planar,
+    });
+    encoder.encode(audioData);
+    audioData.close();
+  }
+  await encoder.flush();
+  encoder.close();
+  if (encodeError) throw encodeError;
+
+  return muxOggOpus(packets, {
+    channels: numberOfChannels,
+    preSkip,
+    totalSamples: audioBuffer.length,
+  });
+}
+
+/**
+ * Re-encode a stored sound for a share export.
+ * @param {ArrayBuffer} arrayBuffer - the original imported file
+ * @param {object} options
+ * @param {string} options.format - key of AUDIO_FORMATS
+ * @param {number} options.quality - bits per sample (flac) or kbps (opus)
+ * @returns {Promise<{ data: ArrayBuffer, format: object|null }>}
+ *   format is the meta.json declaration, null when the original is kept
+ */
+export async function encodeShareAudio(arrayBuffer, { format = DEFAULT_AUDIO_FORMAT, quality } = {}) {
+  const spec = AUDIO_FORMATS[format];
+  if (!spec || format === 'original') return { data: arrayBuffer, format: null };
+  const q = spec.qualities.includes(quality) ? quality : spec.defaultQuality;
+
+  if (format === 'flac') {
+    const audioBuffer = await decodeAt(arrayBuffer, getWavSampleRate(arrayBuffer) || OPUS_RATE);
+    const data = await runFlacTask(audioBuffer, q);
+    return {
+      data: data.buffer,
+      format: { codec: 'flac', mimeType: spec.mimeType, bitsPerSample: q, sampleRate: audioBuffer.sampleRate },
+    };
+  }
+
+  // Opus always runs at 48 kHz
+  const audioBuffer = await decodeAt(arrayBuffer, OPUS_RATE);
+  const data = await encodeOpus(audioBuffer, q);
+  return {
+    data: data.buffer,
+    format: { codec: 'opus', mimeType: spec.mimeType, bitrate: q * 1000, sampleRate: OPUS_RATE },
+  };
+}
+
+// Declared formats (meta.json audioFormats) this browser cannot decode → codec names
+export function getUnsupportedAudioFormats(audioFormats = {}) {
+  const probe = document.createElement('audio');
+  const codecs = new Set();
+  for (const { codec, mimeType } of Object.values(audioFormats)) {
+    if (mimeType && !probe.canPlayType(mimeType)) codecs.add(codec);
+  }
+  return [...codecs];
+}
@@ -1,60 +1,162 @@
 // Beat clock utility — calculates quantized timing based on AudioContext.currentTime
-// Uses a single reference point to keep all orbs on the same grid
+// Uses a single reference point to keep all orbs on the same grid.
+//
+// Positions are counted in quarter notes (the BPM is always quarter notes per
+// minute); the time signature only decides how many quarters make a bar
+// (6/8 = 3, 7/8 = 3.5). A tempo change re-anchors the clock at that moment, so
+// the position keeps counting from where it was instead of jumping.
 
-let startTime = null;
+export const TIME_SIGNATURES = ['2/4', '3/4', '4/4', '5/4', '6/8', '7/8', '9/8', '12/8'];
+export const DEFAULT_TIME_SIGNATURE = '4/4';
+
+// Quantize grid: length in bars (0 = one beat of the time signature)
+export const QUANTIZE_GRIDS = {
+  beat: { label: 'Beat', bars: 0 },
+  bar: { label: '1 bar', bars: 1 },
+  '2bars': { label: '2 bars', bars: 2 },
+  '4bars': { label: '4 bars', bars: 4 },
+  '8bars': { label: '8 bars', bars: 8 },
+};
+export const DEFAULT_QUANTIZE_GRID = 'bar';
+
+// Swing in percent: where the second beat of each pair lands (50 = straight, 66 = triplet feel)
+export const SWING_MIN = 50;
+export const SWING_MAX = 75;
+
+// If the next grid point is very close (< 50ms), skip to the one after
+// to avoid timing glitches
+const MIN_LEAD = 0.05;
+
+// Reference point: at AudioContext time anchorTime the grid was at anchorBeats (quarters)
+let anchorTime = null;
+let anchorBeats = 0;
+let anchorBpm = null;
 
 export function initBeatClock(audioContext) {
-  if (startTime === null) {
-    startTime = audioContext.currentTime;
+  if (anchorTime === null) {
+    anchorTime = audioContext.currentTime;
+    anchorBeats = 0;
   }
 }
 
 export function resetBeatClock(audioContext) {
-  startTime = audioContext.currentTime;
+  anchorTime = audioContext.currentTime;
+  anchorBeats = 0;
 }
 
 /**
- * Get the AudioContext time of the next bar start (downbeat).
+ * Follow a tempo change: the position reached so far is kept and counting
+ * continues at the new BPM from now on.
  * @param {AudioContext} audioContext
- * @param {number} bpm - beats per minute
- * @param {number} beatsPerBar - beats per bar (default 4 for 4/4)
- * @returns {number} scheduled start time in AudioContext seconds
+ * @param {number} bpm
  */
-export function getNextBarTime(audioContext, bpm, beatsPerBar = 4) {
+export function setBeatClockTempo(audioContext, bpm) {
   initBeatClock(audioContext);
-
-  const beatDuration = 60 / bpm;
-  const barDuration = beatDuration * beatsPerBar;
-  const elapsed = audioContext.currentTime - startTime;
-  const currentBar = Math.floor(elapsed / barDuration);
-  const nextBarStart = startTime + (currentBar + 1) * barDuration;
-
-  // If the next bar is very close (< 50ms), skip to the one after
-  // to avoid timing glitches
-  if (nextBarStart - audioContext.currentTime < 0.05) {
-    return nextBarStart + barDuration;
+  if (anchorBpm === null) {
+    anchorBpm = bpm;
+    return;
+  }
+  if (bpm === anchorBpm) return;
+  const now = audioContext.currentTime;
+  if (now > anchorTime) {
+    anchorBeats += ((now - anchorTime) * anchorBpm) / 60;
+    anchorTime = now;
   }
+  anchorBpm = bpm;
+}
 
-  return nextBarStart;
+/**
+ * @param {string} timeSignature - e.g. '6/8'
+ * @returns {{ beatsPerBar: number, beatUnit: number, barQuarters: number, beatQuarters: number }}
+ */
+export function parseTimeSignature(timeSignature = DEFAULT_TIME_SIGNATURE) {
+  const [beatsPerBar, beatUnit] = String(timeSignature).split('/').map((n) => parseInt(n, 10));
+  if (!(beatsPerBar > 0) || !(beatUnit > 0)) return parseTimeSignature(DEFAULT_TIME_SIGNATURE);
+  const beatQuarters = 4 / beatUnit;
+  return { beatsPerBar, beatUnit, barQuarters: beatsPerBar * beatQuarters, beatQuarters };
 }
 
 /**
- * Get the AudioContext time of the next beat (quarter note).
+ * Song position: quarter notes elapsed on the grid at an AudioContext time.
  * @param {AudioContext} audioContext
+ * @param {number} time - AudioContext seconds (may be in the future)
  * @param {number} bpm
- * @returns {number} scheduled start time
+ * @returns {number} quarter notes since the grid's reference point
  */
-export function getNextBeatTime(audioContext, bpm) {
-  initBeatClock(audioContext);
+export function getBeatPosition(audioContext, time, bpm) {
+  setBeatClockTempo(audioContext, bpm);
+  return Math.max(0, anchorBeats + ((time - anchorTime) * bpm) / 60);
+}
+
+function beatPositionToTime(beats, bpm) {
+  return anchorTime + ((beats - anchorBeats) * 60) / bpm;
+}
 
-  const beatDuration = 60 / bpm;
-  const elapsed = audioContext.currentTime - startTime;
-  const currentBeat = Math.floor(elapsed / beatDuration);
-  const nextBeatStart = startTime + (currentBeat + 1) * beatDuration;
+/**
+ * Get the AudioContext time of the next grid point.
+ * @param {AudioContext} audioContext
+ * @param {object} options
+ * @param {number} options.bpm - quarter notes per minute
+ * @param {string} [options.timeSignature] - e.g. '4/4', '6/8'
+ * @param {string} [options.grid] - key of QUANTIZE_GRIDS
+ * @param {number} [options.swing] - percent, only applies to the beat grid
+ * @returns {number} scheduled start time in AudioContext seconds
+ */
+export function getNextGridTime(audioContext, { bpm, timeSignature = DEFAULT_TIME_SIGNATURE, grid = DEFAULT_QUANTIZE_GRID, swing = SWING_MIN }) {
+  const { barQuarters, beatQuarters } = parseTimeSignature(timeSignature);
+  const gridBars = (QUANTIZE_GRIDS[grid] ?? QUANTIZE_GRIDS[DEFAULT_QUANTIZE_GRID]).bars;
+  const step = gridBars ? gridBars * barQuarters : beatQuarters;
+  const earliest = getBeatPosition(audioContext, audioContext.currentTime + MIN_LEAD, bpm);
 
-  if (nextBeatStart - audioContext.currentTime < 0.05) {
-    return nextBeatStart + beatDuration;
+  let next;
+  if (!gridBars && swing > SWING_MIN) {
+    // Swung beats: each pair starts straight, its second beat lands late
+    const pair = 2 * step;
+    const offbeat = (pair * Math.min(SWING_MAX, swing)) / 100;
+    const pairStart = Math.floor(earliest / pair) * pair;
+    next = [pairStart, pairStart + offbeat, pairStart + pair].find((beats) => beats >= earliest);
+  } else {
+    next = Math.ceil(earliest / step) * step;
   }
+  return beatPositionToTime(next, bpm);
+}
+
+/**
+ * Get the AudioContext time of the next bar start (downbeat).
+ * @param {AudioContext} audioContext
+ * @param {number} bpm - beats per minute
+ * @param {string} [timeSignature]
+ * @returns {number} scheduled start time in AudioContext seconds
+ */
+export function getNextBarTime(audioContext, bpm, timeSignature = DEFAULT_TIME_SIGNATURE) {
+  return getNextGridTime(audioContext, { bpm, timeSignature, grid: 'bar' });
+}
 
-  return nextBeatStart;
+/**
+ * Get the AudioContext time of the next beat of the time signature.
+ * @param {AudioContext} audioContext
+ * @param {number} bpm
+ * @param {string} [timeSignature]
+ * @returns {number} scheduled start time
+ */
+export function getNextBeatTime(audioContext, bpm, timeSignature = DEFAULT_TIME_SIGNATURE) {
+  return getNextGridTime(audioContext, { bpm, timeSignature, grid: 'beat' });
+}
+
+/**
+ * Buffer offset (seconds) where a loop should be at a song position, so a
+ * loop joining late plays the same part of its phrase as if it had been
+ * running since the reference point.
+ * @param {number} beats - song position (see getBeatPosition)
+ * @param {number} duration - loop buffer duration in seconds
+ * @param {number} playbackRate - rate the loop plays at
+ * @param {number} bpm
+ * @returns {number}
+ */
+export function getLoopOffset(beats, duration, playbackRate, bpm) {
+  // Loop length on the grid, in beats (constant for tempo-synced loops)
+  const loopBeats = ((duration / playbackRate) * bpm) / 60;
+  if (!(loopBeats > 0)) return 0;
+  const phase = (beats % loopBeats) / loopBeats;
+  return phase * duration;
 }
@@ -0,0 +1,300 @@
+// Minimal lossless FLAC encoder (pure JS, runs in flacWorker.js)
+// - fixed blocksize of 4096, independent channels
+// - CONSTANT subframes for digital silence, FIXED predictors (order 0-4)
+//   with partitioned Rice coding, VERBATIM when nothing beats raw samples
+// - STREAMINFO without MD5 (allowed by the spec: all zeros = unknown)
+
+const BLOCK_SIZE = 4096;
+const MAX_PARTITION_ORDER = 6;
+
+// ===== Bit writer =====
+
+class BitWriter {
+  constructor(size = 1 << 16) {
+    this.bytes = new Uint8Array(size);
+    this.pos = 0; // byte position
+    this.acc = 0; // pending bits (< 8)
+    this.accBits = 0;
+  }
+
+  ensure(extra) {
+    if (this.pos + extra <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < this.pos + extra) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(this.bytes.subarray(0, this.pos));
+    this.bytes = grown;
+  }
+
+  // Write the low n bits of value (n ≤ 32), MSB first
+  write(value, n) {
+    if (n > 16) {
+      this.write(Math.floor(value / 65536) & ((1 << (n - 16)) - 1), n - 16);
+      this.write(value & 0xffff, 16);
+      return;
+    }
+    this.ensure(4);
+    this.acc = (this.acc << n) | (value & ((1 << n) - 1));
+    this.accBits += n;
+    while (this.accBits >= 8) {
+      this.accBits -= 8;
+      this.bytes[this.pos++] = (this.acc >>> this.accBits) & 0xff;
+    }
+    this.acc &= (1 << this.accBits) - 1;
+  }
+
+  // q zero bits followed by a one
+  writeUnary(q) {
+    while (q >= 16) {
+      this.write(0, 16);
+      q -= 16;
+    }
+    this.write(1, q + 1);
+  }
+
+  alignToByte() {
+    if (this.accBits > 0) this.write(0, 8 - this.accBits);
+  }
+
+  get byteLength() {
+    return this.pos;
+  }
+
+  toUint8Array() {
+    return this.bytes.slice(0, this.pos);
+  }
+}
+
+// ===== Checksums =====
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+  let c8 = i;
+  let c16 = i << 8;
+  for (let b = 0; b < 8; b++) {
+    c8 = c8 & 0x80 ? ((c8 << 1) ^ 0x07) & 0xff : (c8 << 1) & 0xff;
+    c16 = c16 & 0x8000 ? ((c16 << 1) ^ 0x8005) & 0xffff : (c16 << 1) & 0xffff;
+  }
+  CRC8_TABLE[i] = c8;
+  CRC16_TABLE[i] = c16;
+}
+
+function crc8(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+  return crc;
+}
+
+function crc16(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+  return crc;
+}
+
+// ===== Residual coding =====
+
+// Fixed polynomial predictors (FLAC spec, orders 0-4)
+function fixedResidual(samples, order) {
+  const n = samples.length;
+  const res = new Int32Array(n - order);
+  for (let i = order; i < n; i++) {
+    const s = samples;
+    let pred;
+    switch (order) {
+      case 0: pred = 0; break;
+      case 1: pred = s[i - 1]; break;
+      case 2: pred = 2 * s[i - 1] - s[i - 2]; break;
+      case 3: pred = 3 * s[i - 1] - 3 * s[i - 2] + s[i - 3]; break;
+      default: pred = 4 * s[i - 1] - 6 * s[i - 2] + 4 * s[i - 3] - s[i - 4];
+    }
+    res[i - order] = s[i] - pred;
+  }
+  return res;
+}
+
+const zigzag = (r) => (r >= 0 ? r * 2 : -r * 2 - 1);
+
+// Cheapest Rice parameter for a run of residuals → { k, bits }
+function bestRiceParam(res, start, end, maxParam) {
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += zigzag(res[i]);
+  const count = end - start;
+  if (count === 0) return { k: 0, bits: 0 };
+  const mean = sum / count;
+  let guess = mean > 1 ? Math.floor(Math.log2(mean)) : 0;
+  guess = Math.min(maxParam, guess);
+
+  let best = null;
+  for (let k = Math.max(0, guess - 1); k <= Math.min(maxParam, guess + 1); k++) {
+    let bits = count * (k + 1);
+    for (let i = start; i < end; i++) bits += Math.floor(zigzag(res[i]) / (1 << k));
+    if (!best || bits < best.bits) best = { k, bits };
+  }
+  return best;
+}
+
+// Pick the partition order with the fewest bits → { order, params, bits }
+function planResidual(res, blockSize, predOrder, paramBits) {
+  const maxParam = (1 << paramBits) - 2; // all-ones = escape code
+  let best = null;
+  for (let order = 0; order <= MAX_PARTITION_ORDER; order++) {
+    if (blockSize % (1 << order) !== 0) break;
+    const partSize = blockSize >> order;
+    if (partSize <= predOrder) break;
+
+    const params = [];
+    let bits = 2 + 4; // coding method + partition order
+    let start = 0;
+    for (let p = 0; p < 1 << order; p++) {
+      const end = start + partSize - (p === 0 ? predOrder : 0);
+      const { k, bits: partBits } = bestRiceParam(res, start, end, maxParam);
+      params.push(k);
+      bits += paramBits + partBits;
+      start = end;
+    }
+    if (!best || bits < best.bits) best = { order, params, bits };
+  }
+  return best;
+}
+
+function writeResidual(writer, res, plan, blockSize, predOrder, paramBits) {
+  writer.write(paramBits === 4 ? 0 : 1, 2);
+  writer.write(plan.order, 4);
+  const partSize = blockSize >> plan.order;
+  let start = 0;
+  plan.params.forEach((k, p) => {
+    writer.write(k, paramBits);
+    const end = start + partSize - (p === 0 ? predOrder : 0);
+    for (let i = start; i < end; i++) {
+      const u = zigzag(res[i]);
+      writer.writeUnary(Math.floor(u / (1 << k)));
+      if (k > 0) writer.write(u & ((1 << k) - 1), k);
+    }
+    start = end;
+  });
+}
+
+// ===== Subframes =====
+
+function writeSubframe(writer, samples, bps) {
+  const n = samples.length;
+
+  // Digital silence / DC: one value for the whole block
+  let constant = true;
+  for (let i = 1; i < n && constant; i++) constant = samples[i] === samples[0];
+  if (constant) {
+    writer.write(0b00000000, 8);
+    writer.write(samples[0], bps);
+    return;
+  }
+
+  // Rice params need 5 bits (RICE2) once residuals can exceed 16 bits
+  const paramBits = bps > 16 ? 5 : 4;
+  let best = null;
+  for (let order = 0; order <= Math.min(4, n - 1); order++) {
+    const res = fixedResidual(samples, order);
+    const plan = planResidual(res, n, order, paramBits);
+    const bits = 8 + order * bps + plan.bits;
+    if (!best || bits < best.bits) best = { order, res, plan, bits };
+  }
+
+  if (best.bits >= 8 + n * bps) {
+    writer.write(0b00000010, 8); // VERBATIM
+    for (let i = 0; i < n; i++) writer.write(samples[i], bps);
+    return;
+  }
+
+  writer.write(0b00010000 | (best.order << 1), 8); // FIXED, order in bits 1-3
+  for (let i = 0; i < best.order; i++) writer.write(samples[i], bps);
+  writeResidual(writer, best.res, best.plan, n, best.order, paramBits);
+}
+
+// ===== Frames =====
+
+// UTF-8 style variable-length frame number
+function writeFrameNumber(writer, num) {
+  if (num < 0x80) {
+    writer.write(num, 8);
+    return;
+  }
+  const bytes = [];
+  let lead = 0x80;
+  let limit = 0x3f;
+  while (num > limit) {
+    bytes.unshift(0x80 | (num & 0x3f));
+    num = Math.floor(num / 64);
+    lead = (lead >> 1) | 0x80;
+    limit >>= 1;
+  }
+  writer.write(lead | num, 8);
+  for (const b of bytes) writer.write(b, 8);
+}
+
+function writeFrame(writer, channels, frameIndex, offset, blockSize, bps) {
+  const start = writer.byteLength;
+  writer.write(0b11111111111110, 14); // sync
+  writer.write(0, 1); // reserved
+  writer.write(0, 1); // fixed blocksize stream
+  writer.write(0b0111, 4); // blocksize: 16-bit (n-1) at end of header
+  writer.write(0b0000, 4); // sample rate: from STREAMINFO
+  writer.write(channels.length - 1, 4); // independent channels
+  writer.write(bps === 24 ? 0b110 : 0b100, 3);
+  writer.write(0, 1); // reserved
+  writeFrameNumber(writer, frameIndex);
+  writer.write(blockSize - 1, 16);
+  writer.write(crc8(writer.bytes, start, writer.byteLength), 8);
+
+  for (const data of channels) {
+    writeSubframe(writer, data.subarray(offset, offset + blockSize), bps);
+  }
+
+  writer.alignToByte();
+  writer.write(crc16(writer.bytes, start, writer.byteLength), 16);
+}
+
+/**
+ * Encode planar float PCM as a FLAC file.
+ * @param {Float32Array[]} channels - 1-8 channels of equal length, -1..1
+ * @param {number} sampleRate
+ * @param {number} bps - 16 or 24 bits per sample
+ * @returns {Uint8Array} FLAC file bytes
+ */
+export function encodeFlac(channels, sampleRate, bps = 16) {
+  const length = channels[0].length;
+  const scale = 2 ** (bps - 1) - 1;
+  const ints = channels.map((data) => {
+    const out = new Int32Array(length);
+    for (let i = 0; i < length; i++) {
+      const s = Math.max(-1, Math.min(1, data[i]));
+      out[i] = Math.round(s * scale);
+    }
+    return out;
+  });
+
+  const writer = new BitWriter(Math.max(1 << 16, length * channels.length * (bps / 8) / 2));
+
+  // "fLaC" + STREAMINFO (last metadata block)
+  writer.write(0x664c6143, 32);
+  writer.write(1, 1);
+  writer.write(0, 7);
+  writer.write(34, 24);
+  writer.write(Math.min(BLOCK_SIZE, Math.max(16, length)), 16); // min blocksize
+  writer.write(Math.min(BLOCK_SIZE, Math.max(16, length)), 16); // max blocksize
+  writer.write(0, 24); // min frame size (unknown)
+  writer.write(0, 24); // max frame size (unknown)
+  writer.write(sampleRate, 20);
+  writer.write(channels.length - 1, 3);
+  writer.write(bps - 1, 5);
+  writer.write(Math.floor(length / 2 ** 32) & 0xf, 4); // total samples (36 bits)
+  writer.write(length >>> 0, 32);
+  for (let i = 0; i < 4; i++) writer.write(0, 32); // MD5 unknown
+
+  let frameIndex = 0;
+  for (let offset = 0; offset < length; offset += BLOCK_SIZE) {
+    const blockSize = Math.min(BLOCK_SIZE, length - offset);
+    writeFrame(writer, ints, frameIndex++, offset, blockSize, bps);
+  }
+
+  return writer.toUint8Array();
+}
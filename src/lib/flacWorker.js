@@ -0,0 +1,18 @@
+// Web Worker for FLAC encoding of share audio, off the main thread.
+//
+// Messages:
+//   { id, channels, sampleRate, bitsPerSample }   (transferred Float32Arrays)
+//     → { id, data }   (transferred FLAC file bytes)
+// Failures reply { id, error }.
+
+import { encodeFlac } from './flacEncoder';
+
+self.onmessage = (e) => {
+  const { id, channels, sampleRate, bitsPerSample } = e.data;
+  try {
+    const data = encodeFlac(channels, sampleRate, bitsPerSample);
+    self.postMessage({ id, data }, [data.buffer]);
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
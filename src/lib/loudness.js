@@ -0,0 +1,159 @@
+// ITU-R BS.1770 loudness, shared by the import analysis worker (loudnessWorker)
+// and the live loudness meter worklet. Pure functions, no Web Audio deps.
+
+// Biquad coefficients for the two K-weighting stages at the given sample rate:
+// stage 1 = high shelf (+4dB head effect), stage 2 = RLB high-pass
+export function getKWeightingCoefficients(sampleRate) {
+  const f0_1 = 1681.974450955533;
+  const G = 3.999843853973347;
+  const Q_1 = 0.7071752369554196;
+
+  const K1 = Math.tan(Math.PI * f0_1 / sampleRate);
+  const Vh = Math.pow(10, G / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  const a0_1 = 1 + K1 / Q_1 + K1 * K1;
+  const shelf = {
+    b0: (Vh + Vb * K1 / Q_1 + K1 * K1) / a0_1,
+    b1: 2 * (K1 * K1 - Vh) / a0_1,
+    b2: (Vh - Vb * K1 / Q_1 + K1 * K1) / a0_1,
+    a1: 2 * (K1 * K1 - 1) / a0_1,
+    a2: (1 - K1 / Q_1 + K1 * K1) / a0_1,
+  };
+
+  const f0_2 = 38.13547087602444;
+  const Q_2 = 0.5003270373238773;
+  const K2 = Math.tan(Math.PI * f0_2 / sampleRate);
+  const a0_2 = 1 + K2 / Q_2 + K2 * K2;
+  const highpass = {
+    b0: 1 / a0_2,
+    b1: -2 / a0_2,
+    b2: 1 / a0_2,
+    a1: 2 * (K2 * K2 - 1) / a0_2,
+    a2: (1 - K2 / Q_2 + K2 * K2) / a0_2,
+  };
+
+  return [shelf, highpass];
+}
+
+// Streaming K-weighting filter for one channel: filter(x) → weighted sample
+export function createKWeightingFilter(sampleRate) {
+  const stages = getKWeightingCoefficients(sampleRate).map((c) => ({ ...c, x1: 0, x2: 0, y1: 0, y2: 0 }));
+  return (x) => {
+    for (const s of stages) {
+      const y = s.b0 * x + s.b1 * s.x1 + s.b2 * s.x2 - s.a1 * s.y1 - s.a2 * s.y2;
+      s.x2 = s.x1; s.x1 = x;
+      s.y2 = s.y1; s.y1 = y;
+      x = y;
+    }
+    return x;
+  };
+}
+
+// K-weight a whole channel at once
+export function applyKWeighting(samples, sampleRate) {
+  const out = new Float32Array(samples.length);
+  const [c1, c2] = getKWeightingCoefficients(sampleRate);
+
+  let x1_1 = 0, x2_1 = 0, y1_1 = 0, y2_1 = 0;
+  const temp = new Float32Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = c1.b0 * x + c1.b1 * x1_1 + c1.b2 * x2_1 - c1.a1 * y1_1 - c1.a2 * y2_1;
+    x2_1 = x1_1; x1_1 = x;
+    y2_1 = y1_1; y1_1 = y;
+    temp[i] = y;
+  }
+
+  let x1_2 = 0, x2_2 = 0, y1_2 = 0, y2_2 = 0;
+  for (let i = 0; i < temp.length; i++) {
+    const x = temp[i];
+    const y = c2.b0 * x + c2.b1 * x1_2 + c2.b2 * x2_2 - c2.a1 * y1_2 - c2.a2 * y2_2;
+    x2_2 = x1_2; x1_2 = x;
+    y2_2 = y1_2; y1_2 = y;
+    out[i] = y;
+  }
+
+  return out;
+}
+
+// Gated integrated loudness (BS.1770: 400ms blocks, 75% overlap,
+// -70 LUFS absolute gate, -10 LU relative gate) of planar channel data
+export function measureIntegratedLUFS(channels, sampleRate) {
+  const numChannels = channels.length;
+  const length = channels[0].length;
+
+  const channelWeights = [];
+  for (let ch = 0; ch < numChannels; ch++) {
+    channelWeights.push(1.0);
+  }
+
+  const kWeighted = [];
+  for (let ch = 0; ch < numChannels; ch++) {
+    kWeighted.push(applyKWeighting(channels[ch], sampleRate));
+  }
+
+  const blockSize = Math.round(sampleRate * 0.4);
+  const stepSize = Math.round(sampleRate * 0.1);
+  const blockLoudness = [];
+
+  for (let start = 0; start + blockSize <= length; start += stepSize) {
+    let blockPower = 0;
+    for (let ch = 0; ch < numChannels; ch++) {
+      const data = kWeighted[ch];
+      let chSum = 0;
+      for (let i = start; i < start + blockSize; i++) {
+        chSum += data[i] * data[i];
+      }
+      blockPower += channelWeights[ch] * (chSum / blockSize);
+    }
+    const blockLUFS = -0.691 + 10 * Math.log10(blockPower);
+    blockLoudness.push(blockLUFS);
+  }
+
+  if (blockLoudness.length === 0) {
+    let power = 0;
+    for (let ch = 0; ch < numChannels; ch++) {
+      const data = kWeighted[ch];
+      let chSum = 0;
+      for (let i = 0; i < length; i++) {
+        chSum += data[i] * data[i];
+      }
+      power += channelWeights[ch] * (chSum / length);
+    }
+    return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+  }
+
+  const gated70 = blockLoudness.filter(l => l > -70);
+  if (gated70.length === 0) return -Infinity;
+
+  let sumPower70 = 0;
+  for (const l of gated70) {
+    sumPower70 += Math.pow(10, (l + 0.691) / 10);
+  }
+  const meanPower70 = sumPower70 / gated70.length;
+  const relativeThreshold = -0.691 + 10 * Math.log10(meanPower70) - 10;
+
+  const gatedRelative = blockLoudness.filter(l => l > relativeThreshold);
+  if (gatedRelative.length === 0) return -Infinity;
+
+  let sumPowerRel = 0;
+  for (const l of gatedRelative) {
+    sumPowerRel += Math.pow(10, (l + 0.691) / 10);
+  }
+  const meanPowerRel = sumPowerRel / gatedRelative.length;
+
+  return -0.691 + 10 * Math.log10(meanPowerRel);
+}
+
+// Mean-square power → LUFS (BS.1770 offset)
+export function powerToLUFS(power) {
+  return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+// Per-sound gain trim on top of normalization (dB)
+export const GAIN_TRIM_MAX = 24;
+
+export function clampGainTrim(db) {
+  if (!Number.isFinite(db)) return 0;
+  return Math.max(-GAIN_TRIM_MAX, Math.min(GAIN_TRIM_MAX, db));
+}
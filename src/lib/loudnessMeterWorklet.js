@@ -0,0 +1,173 @@
+// AudioWorklet processor for live ITU-R BS.1770 loudness + true-peak metering.
+// Loaded as a bundled worklet (?worker&url) so it can share the K-weighting
+// filter with the import normalizer.
+//
+// Every 100ms it posts { momentary, shortTerm, integrated, truePeak, truePeakMax }:
+// - momentary:  LUFS over the last 400ms
+// - shortTerm:  LUFS over the last 3s
+// - integrated: gated LUFS (-70 absolute, -10 relative) since start / last 'reset'
+// - truePeak:   4x oversampled peak in dBTP since the previous message
+// - truePeakMax: highest true-peak since start / last 'reset'
+
+import { createKWeightingFilter, powerToLUFS } from './loudness';
+
+const OVERSAMPLE = 4;
+const TAPS = 12; // per phase → 48-tap interpolator, as in BS.1770-4 Annex 2
+const MOMENTARY_BLOCKS = 4; // 4 × 100ms
+const SHORT_TERM_BLOCKS = 30; // 30 × 100ms
+const ABSOLUTE_GATE = -70;
+
+// Integrated loudness: gating blocks are counted in a fixed 0.1 LU histogram
+// with their power summed per bin, so each update costs the same however long
+// the session runs (the relative gate is resolved to the bin)
+const HISTOGRAM_STEP = 0.1;
+const HISTOGRAM_MAX = 10; // louder blocks land in the top bin
+const HISTOGRAM_BINS = Math.round((HISTOGRAM_MAX - ABSOLUTE_GATE) / HISTOGRAM_STEP);
+
+// Hann-windowed sinc interpolator, one row of TAPS per phase (normalized to unity gain)
+function createInterpolator() {
+  const half = TAPS / 2;
+  const phases = [];
+  for (let p = 0; p < OVERSAMPLE; p++) {
+    const taps = new Float32Array(TAPS);
+    let sum = 0;
+    for (let k = 0; k < TAPS; k++) {
+      const u = k - half + p / OVERSAMPLE;
+      const sinc = u === 0 ? 1 : Math.sin(Math.PI * u) / (Math.PI * u);
+      const hann = 0.5 * (1 + Math.cos(Math.PI * u / (half + 1)));
+      taps[k] = sinc * hann;
+      sum += taps[k];
+    }
+    for (let k = 0; k < TAPS; k++) taps[k] /= sum;
+    phases.push(taps);
+  }
+  return phases;
+}
+
+const toDb = (amp) => (amp > 0 ? 20 * Math.log10(amp) : -Infinity);
+
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const rate = options.processorOptions.sampleRate;
+    this.blockFrames = Math.round(rate * 0.1);
+    this.filters = [createKWeightingFilter(rate), createKWeightingFilter(rate)];
+    this.phases = createInterpolator();
+    this.history = [new Float32Array(TAPS), new Float32Array(TAPS)];
+    this.historyPos = 0;
+
+    // Current 100ms sub-block
+    this.blockSum = 0;
+    this.blockCount = 0;
+    this.blockPeak = 0;
+    // Last SHORT_TERM_BLOCKS sub-block powers (most recent last)
+    this.subBlocks = [];
+    // 400ms block powers above the absolute gate, for the integrated measurement
+    this.gateCounts = new Uint32Array(HISTOGRAM_BINS);
+    this.gatePowers = new Float64Array(HISTOGRAM_BINS);
+    this.gateCount = 0;
+    this.gatePower = 0;
+    this.truePeakMax = 0;
+
+    this.port.onmessage = (e) => {
+      if (e.data === 'reset') {
+        this.gateCounts.fill(0);
+        this.gatePowers.fill(0);
+        this.gateCount = 0;
+        this.gatePower = 0;
+        this.truePeakMax = 0;
+      }
+    };
+  }
+
+  // Oversampled absolute peak around the newest sample of channel ch
+  interpolatedPeak(ch) {
+    const hist = this.history[ch];
+    let peak = 0;
+    for (const taps of this.phases) {
+      let y = 0;
+      for (let k = 0; k < TAPS; k++) {
+        y += taps[k] * hist[(this.historyPos - k + TAPS) % TAPS];
+      }
+      const abs = Math.abs(y);
+      if (abs > peak) peak = abs;
+    }
+    return peak;
+  }
+
+  meanPower(blocks) {
+    if (blocks.length === 0) return 0;
+    let sum = 0;
+    for (const p of blocks) sum += p;
+    return sum / blocks.length;
+  }
+
+  addGatingBlock(power) {
+    const lufs = powerToLUFS(power);
+    if (!(lufs > ABSOLUTE_GATE)) return;
+    const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor((lufs - ABSOLUTE_GATE) / HISTOGRAM_STEP));
+    this.gateCounts[bin]++;
+    this.gatePowers[bin] += power;
+    this.gateCount++;
+    this.gatePower += power;
+  }
+
+  integratedLUFS() {
+    if (this.gateCount === 0) return -Infinity;
+    const relativeGate = powerToLUFS(this.gatePower / this.gateCount) - 10;
+    let count = 0;
+    let sum = 0;
+    for (let bin = Math.max(0, Math.ceil((relativeGate - ABSOLUTE_GATE) / HISTOGRAM_STEP)); bin < HISTOGRAM_BINS; bin++) {
+      count += this.gateCounts[bin];
+      sum += this.gatePowers[bin];
+    }
+    return count > 0 ? powerToLUFS(sum / count) : -Infinity;
+  }
+
+  endSubBlock() {
+    this.subBlocks.push(this.blockSum / this.blockCount);
+    if (this.subBlocks.length > SHORT_TERM_BLOCKS) this.subBlocks.shift();
+
+    // Gating blocks: 400ms windows with 75% overlap, i.e. one per sub-block
+    const momentaryPower = this.meanPower(this.subBlocks.slice(-MOMENTARY_BLOCKS));
+    if (this.subBlocks.length >= MOMENTARY_BLOCKS) this.addGatingBlock(momentaryPower);
+
+    if (this.blockPeak > this.truePeakMax) this.truePeakMax = this.blockPeak;
+
+    this.port.postMessage({
+      momentary: powerToLUFS(momentaryPower),
+      shortTerm: powerToLUFS(this.meanPower(this.subBlocks)),
+      integrated: this.integratedLUFS(),
+      truePeak: toDb(this.blockPeak),
+      truePeakMax: toDb(this.truePeakMax),
+    });
+
+    this.blockSum = 0;
+    this.blockCount = 0;
+    this.blockPeak = 0;
+  }
+
+  process(inputs) {
+    // No active input (nothing playing) is metered as silence
+    const input = inputs[0];
+    const frames = input.length > 0 ? input[0].length : 128;
+
+    for (let i = 0; i < frames; i++) {
+      this.historyPos = (this.historyPos + 1) % TAPS;
+      for (let ch = 0; ch < 2; ch++) {
+        const data = input[ch] || input[0];
+        const x = data ? data[i] : 0;
+        const weighted = this.filters[ch](x);
+        this.blockSum += weighted * weighted;
+        this.history[ch][this.historyPos] = x;
+        const peak = this.interpolatedPeak(ch);
+        if (peak > this.blockPeak) this.blockPeak = peak;
+      }
+      this.blockCount++;
+      if (this.blockCount === this.blockFrames) this.endSubBlock();
+    }
+    return true;
+  }
+}
+
+registerProcessor('loudness-meter', LoudnessMeterProcessor);
@@ -0,0 +1,31 @@
+// Web Worker for import loudness analysis, off the main thread.
+// Channel data comes in (and goes back) as transferred Float32Arrays.
+//
+// Messages:
+//   { id, type: 'measure', channels, sampleRate }
+//     → { id, lufs }
+//   { id, type: 'normalize', channels, sampleRate, gain }
+//     → { id, channels, lufs }   (scaled copy + its verified loudness)
+// Failures reply { id, error }.
+
+import { measureIntegratedLUFS } from './loudness';
+
+self.onmessage = (e) => {
+  const { id, type, channels, sampleRate } = e.data;
+  try {
+    if (type === 'measure') {
+      self.postMessage({ id, lufs: measureIntegratedLUFS(channels, sampleRate) });
+    } else if (type === 'normalize') {
+      const { gain } = e.data;
+      for (const data of channels) {
+        for (let i = 0; i < data.length; i++) data[i] *= gain;
+      }
+      const lufs = measureIntegratedLUFS(channels, sampleRate);
+      self.postMessage({ id, channels, lufs }, channels.map((data) => data.buffer));
+    } else {
+      throw new Error(`Unknown loudness task: ${type}`);
+    }
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
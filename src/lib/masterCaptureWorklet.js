@@ -0,0 +1,51 @@
+// AudioWorklet processor that captures the master bus as raw PCM.
+// Loaded via audioWorklet.addModule() — runs on the audio thread, no imports.
+//
+// Posts { channels: [Float32Array L, Float32Array R] } every CHUNK_FRAMES
+// frames; on 'stop' it flushes what's left and posts { done: true }.
+
+const CHUNK_FRAMES = 4096;
+
+class MasterCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.buffers = [new Float32Array(CHUNK_FRAMES), new Float32Array(CHUNK_FRAMES)];
+    this.offset = 0;
+    this.stopped = false;
+    this.port.onmessage = (e) => {
+      if (e.data === 'stop') {
+        this.flush();
+        this.stopped = true;
+        this.port.postMessage({ done: true });
+      }
+    };
+  }
+
+  flush() {
+    if (this.offset === 0) return;
+    this.port.postMessage({
+      channels: this.buffers.map((buf) => buf.slice(0, this.offset)),
+    });
+    this.offset = 0;
+  }
+
+  process(inputs) {
+    if (this.stopped) return false;
+
+    // No active input (nothing playing) still counts as recorded silence
+    const input = inputs[0];
+    const frames = input.length > 0 ? input[0].length : 128;
+
+    for (let i = 0; i < frames; i++) {
+      for (let ch = 0; ch < 2; ch++) {
+        const data = input[ch] || input[0];
+        this.buffers[ch][this.offset] = data ? data[i] : 0;
+      }
+      this.offset++;
+      if (this.offset === CHUNK_FRAMES) this.flush();
+    }
+    return true;
+  }
+}
+
+registerProcessor('master-capture', MasterCaptureProcessor);
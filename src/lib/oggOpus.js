@@ -0,0 +1,126 @@
+// Minimal Ogg Opus muxer (RFC 7845) for packets from a WebCodecs AudioEncoder
+// - one logical stream: OpusHead page, OpusTags page, then audio pages
+// - channel mapping family 0 (mono / stereo only)
+// - the last page's granule position trims the encoder's end padding
+
+const OPUS_RATE = 48000;
+const MAX_SEGMENTS = 255;
+
+const CRC_TABLE = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+  let c = i << 24;
+  for (let b = 0; b < 8; b++) c = c & 0x80000000 ? (c << 1) ^ 0x04c11db7 : c << 1;
+  CRC_TABLE[i] = c >>> 0;
+}
+
+function oggCrc(bytes) {
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+// flags: 0x02 = first page, 0x04 = last page
+function buildPage(packets, { granule, serial, sequence, flags }) {
+  const lacing = [];
+  for (const packet of packets) {
+    let size = packet.length;
+    while (size >= 255) {
+      lacing.push(255);
+      size -= 255;
+    }
+    lacing.push(size);
+  }
+  const bodySize = packets.reduce((sum, p) => sum + p.length, 0);
+  const page = new Uint8Array(27 + lacing.length + bodySize);
+  const view = new DataView(page.buffer);
+
+  page.set([0x4f, 0x67, 0x67, 0x53]); // "OggS"
+  page[4] = 0; // version
+  page[5] = flags;
+  view.setUint32(6, granule % 2 ** 32, true);
+  view.setUint32(10, Math.floor(granule / 2 ** 32), true);
+  view.setUint32(14, serial, true);
+  view.setUint32(18, sequence, true);
+  page[26] = lacing.length;
+  page.set(lacing, 27);
+  let offset = 27 + lacing.length;
+  for (const packet of packets) {
+    page.set(packet, offset);
+    offset += packet.length;
+  }
+  view.setUint32(22, oggCrc(page), true);
+  return page;
+}
+
+function opusHead(channels, preSkip, inputSampleRate) {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set(new TextEncoder().encode('OpusHead'));
+  head[8] = 1; // version
+  head[9] = channels;
+  view.setUint16(10, preSkip, true);
+  view.setUint32(12, inputSampleRate, true);
+  view.setInt16(16, 0, true); // output gain
+  head[18] = 0; // mapping family
+  return head;
+}
+
+function opusTags() {
+  const vendor = new TextEncoder().encode('visual-sound-mixer');
+  const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+  const view = new DataView(tags.buffer);
+  tags.set(new TextEncoder().encode('OpusTags'));
+  view.setUint32(8, vendor.length, true);
+  tags.set(vendor, 12);
+  view.setUint32(12 + vendor.length, 0, true); // no user comments
+  return tags;
+}
+
+/**
+ * Wrap raw Opus packets in an Ogg container.
+ * @param {{ data: Uint8Array, samples: number }[]} packets - samples at 48 kHz
+ * @param {object} options
+ * @param {number} options.channels - 1 or 2
+ * @param {number} options.preSkip - encoder delay in 48 kHz samples
+ * @param {number} options.totalSamples - real length (48 kHz), for end trimming
+ * @param {number} options.inputSampleRate - informational only
+ * @returns {Uint8Array} .opus file bytes
+ */
+export function muxOggOpus(packets, { channels, preSkip, totalSamples, inputSampleRate = OPUS_RATE }) {
+  const serial = (Math.random() * 2 ** 32) >>> 0;
+  let sequence = 0;
+  const pages = [
+    buildPage([opusHead(channels, preSkip, inputSampleRate)], { granule: 0, serial, sequence: sequence++, flags: 0x02 }),
+    buildPage([opusTags()], { granule: 0, serial, sequence: sequence++, flags: 0 }),
+  ];
+
+  let pending = [];
+  let segments = 0;
+  let granule = 0; // decoded samples so far, pre-skip included
+  const flush = (last) => {
+    const end = last ? Math.min(granule, preSkip + totalSamples) : granule;
+    pages.push(buildPage(pending, { granule: end, serial, sequence: sequence++, flags: last ? 0x04 : 0 }));
+    pending = [];
+    segments = 0;
+  };
+
+  packets.forEach((packet, i) => {
+    const packetSegments = Math.floor(packet.data.length / 255) + 1;
+    if (segments + packetSegments > MAX_SEGMENTS) flush(false);
+    pending.push(packet.data);
+    segments += packetSegments;
+    granule += packet.samples;
+    if (i === packets.length - 1) flush(true);
+  });
+
+  const size = pages.reduce((sum, p) => sum + p.length, 0);
+  const file = new Uint8Array(size);
+  let offset = 0;
+  for (const page of pages) {
+    file.set(page, offset);
+    offset += page.length;
+  }
+  return file;
+}
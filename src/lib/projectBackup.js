@@ -0,0 +1,206 @@
+// Full admin project backup: every store of the admin DB in one ZIP
+//
+// project.json              schema version + all records (binary data stripped)
+// library/{id}.bin          sounds, also those no preset uses anymore
+// impulses/{id}.bin         uploaded reverb IRs
+// backgrounds/{presetId}    preset background images (stored as data URLs)
+//
+// Restore modes:
+// - replace: the admin DB becomes exactly the backup (same ids)
+// - merge:   the backup is added next to the current project with fresh ids;
+//            identical sounds are reused, shares whose id exists are skipped
+//
+// Both modes write all stores in one transaction: a failed restore leaves the
+// project as it was
+
+import JSZip from 'jszip';
+import { BACKUP_STORES, ADMIN_DB_VERSION, getAllRecords, putStores, remapRecording } from './audioDb';
+import { arrayBufferToBase64, base64ToArrayBuffer } from './shareCodec';
+import { hashArrayBuffer } from './shareVersion';
+
+export const PROJECT_SCHEMA_VERSION = 1;
+const APP_ID = 'visual-sound-mixer';
+
+// Stores whose records carry an audioData ArrayBuffer
+const BINARY_STORES = ['library', 'impulses'];
+
+function dataUrlToBinary(dataUrl) {
+  const [header, data] = dataUrl.split(',');
+  const type = header.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream';
+  if (header.includes(';base64')) return { type, data: base64ToArrayBuffer(data) };
+  return { type, data: new TextEncoder().encode(decodeURIComponent(data)).buffer };
+}
+
+// ===== Export =====
+
+/** @returns {Promise<Blob>} the project ZIP */
+export async function exportProject() {
+  const zip = new JSZip();
+  const stores = {};
+
+  for (const storeName of BACKUP_STORES) {
+    const records = await getAllRecords(storeName);
+    stores[storeName] = records.map((record) => {
+      if (BINARY_STORES.includes(storeName) && record.audioData) {
+        const { audioData, ...rest } = record;
+        const file = `${storeName}/${record.id}.bin`;
+        zip.file(file, audioData);
+        return { ...rest, file };
+      }
+      if (storeName === 'presets' && typeof record.backgroundImage === 'string') {
+        const { type, data } = dataUrlToBinary(record.backgroundImage);
+        const file = `backgrounds/${record.id}`;
+        zip.file(file, data);
+        return { ...record, backgroundImage: { file, type } };
+      }
+      // Older admins kept a share's passphrase in the record: never put it in a backup
+      if (storeName === 'shares' && record.encryption?.passphrase) {
+        const { passphrase: _passphrase, ...encryption } = record.encryption;
+        return { ...record, encryption };
+      }
+      return record;
+    });
+  }
+
+  const project = {
+    app: APP_ID,
+    schemaVersion: PROJECT_SCHEMA_VERSION,
+    dbVersion: ADMIN_DB_VERSION,
+    exportedAt: new Date().toISOString(),
+    stores,
+  };
+  zip.file('project.json', JSON.stringify(project, null, 2));
+  return zip.generateAsync({ type: 'blob' });
+}
+
+// ===== Import =====
+
+// project.json + binaries back into plain DB records
+async function readProject(file) {
+  const zip = await JSZip.loadAsync(file);
+  const projectFile = zip.file('project.json');
+  if (!projectFile) throw new Error('No project.json found');
+  const project = JSON.parse(await projectFile.async('string'));
+
+  if (project.app !== APP_ID || !project.stores) throw new Error('Not a project backup');
+  if (project.schemaVersion > PROJECT_SCHEMA_VERSION) {
+    throw new Error(`Backup schema ${project.schemaVersion} is newer than supported (${PROJECT_SCHEMA_VERSION})`);
+  }
+
+  const readBinary = async (path) => {
+    const entry = zip.file(path);
+    if (!entry) throw new Error(`Missing ${path} in backup`);
+    return entry.async('arraybuffer');
+  };
+
+  const stores = {};
+  for (const storeName of BACKUP_STORES) {
+    stores[storeName] = await Promise.all((project.stores[storeName] || []).map(async (record) => {
+      if (BINARY_STORES.includes(storeName) && record.file) {
+        const { file: path, ...rest } = record;
+        return { ...rest, audioData: await readBinary(path) };
+      }
+      if (storeName === 'presets' && record.backgroundImage?.file) {
+        const { file: path, type } = record.backgroundImage;
+        const base64 = arrayBufferToBase64(await readBinary(path));
+        return { ...record, backgroundImage: `data:${type};base64,${base64}` };
+      }
+      return record;
+    }));
+  }
+  return stores;
+}
+
+async function mergeProject(stores) {
+  const conflicts = [];
+
+  // Sounds + IRs: fresh ids after the current ones, identical audio reused
+  const remaps = {};
+  const added = {};
+  for (const storeName of BINARY_STORES) {
+    const current = await getAllRecords(storeName);
+    const byHash = new Map();
+    for (const record of current) {
+      byHash.set(await hashArrayBuffer(record.audioData), record.id);
+    }
+    let nextId = Math.max(0, ...current.map((r) => r.id)) + 1;
+    const remap = new Map();
+    added[storeName] = [];
+    for (const { id, ...record } of stores[storeName]) {
+      const hash = await hashArrayBuffer(record.audioData);
+      if (!byHash.has(hash)) {
+        byHash.set(hash, nextId);
+        added[storeName].push({ ...record, id: nextId++ });
+      }
+      remap.set(id, byHash.get(hash));
+    }
+    remaps[storeName] = remap;
+  }
+  const remapDbId = (dbId) => remaps.library.get(dbId) ?? null;
+
+  // Presets: ids after the current ones, references remapped
+  const currentPresets = await getAllRecords('presets');
+  let nextPresetId = Math.max(0, ...currentPresets.map((p) => p.id)) + 1;
+  const presetRemap = new Map();
+  const presets = stores.presets.map((preset) => {
+    const id = nextPresetId++;
+    presetRemap.set(preset.id, id);
+    return {
+      ...preset,
+      id,
+      libraryItemDbIds: (preset.libraryItemDbIds || []).map(remapDbId).filter((dbId) => dbId != null),
+      orbLayout: (preset.orbLayout || []).map((o) => ({ ...o, dbId: remapDbId(o.dbId) })).filter((o) => o.dbId != null),
+      reverbIrDbId: preset.reverbIrDbId != null ? remaps.impulses.get(preset.reverbIrDbId) ?? null : null,
+    };
+  });
+
+  const recordings = stores.recordings
+    .filter((r) => presetRemap.has(r.presetId))
+    .map((r) => remapRecording(r, presetRemap.get(r.presetId), remapDbId));
+
+  // Shares keep their id (= their public link); an existing one wins
+  const shareIds = new Set((await getAllRecords('shares')).map((s) => s.id));
+  const shares = [];
+  for (const share of stores.shares) {
+    if (shareIds.has(share.id)) {
+      conflicts.push(`Share "${share.name}" (${share.id}) bestaat al — overgeslagen.`);
+      continue;
+    }
+    shares.push({ ...share, presetIds: share.presetIds.map((id) => presetRemap.get(id)).filter((id) => id != null) });
+  }
+
+  await putStores({ ...added, presets, recordings, shares });
+
+  return {
+    counts: {
+      library: remaps.library.size,
+      presets: presets.length,
+      recordings: recordings.length,
+      shares: shares.length,
+    },
+    conflicts,
+  };
+}
+
+/**
+ * Restore a project backup into the admin DB. Reload the app afterwards.
+ * @param {File} file - project ZIP from exportProject
+ * @param {'merge'|'replace'} mode
+ * @returns {Promise<{ counts: object, conflicts: string[] }>}
+ */
+export async function importProject(file, mode = 'merge') {
+  const stores = await readProject(file);
+
+  if (mode === 'merge') return mergeProject(stores);
+
+  await putStores(stores, { clear: true });
+  return {
+    counts: {
+      library: stores.library.length,
+      presets: stores.presets.length,
+      recordings: stores.recordings.length,
+      shares: stores.shares.length,
+    },
+    conflicts: [],
+  };
+}
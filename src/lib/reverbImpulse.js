@@ -0,0 +1,69 @@
+// Procedural reverb impulse responses
+// Each type is exponentially decaying stereo noise, shaped per room character:
+// - room:    short, damped (darker) tail with a few early reflections
+// - hall:    the original 1.5s bright noise tail
+// - plate:   dense, bright, no early reflections
+// - ambient: long swelling tail, gently damped
+
+export const REVERB_TYPES = {
+  room: { label: 'Small room', decay: 0.6, preDelay: 0 },
+  hall: { label: 'Hall', decay: 1.5, preDelay: 0 },
+  plate: { label: 'Plate', decay: 2.2, preDelay: 0 },
+  ambient: { label: 'Long ambient', decay: 6, preDelay: 20 },
+};
+
+export const DEFAULT_REVERB_TYPE = 'hall';
+
+// Per-type shaping: damping = one-pole lowpass amount on the noise (0 = none),
+// attack = swell-in time in seconds, reflections = number of early taps
+const SHAPES = {
+  room: { damping: 0.5, attack: 0, reflections: 6 },
+  hall: { damping: 0, attack: 0, reflections: 0 },
+  plate: { damping: 0, attack: 0, reflections: 0 },
+  ambient: { damping: 0.3, attack: 0.5, reflections: 0 },
+};
+
+/**
+ * Synthesize a stereo reverb IR.
+ * @param {BaseAudioContext} ctx - live or offline context (for sample rate)
+ * @param {object} options
+ * @param {string} options.type - key of REVERB_TYPES
+ * @param {number} options.decay - RT60 in seconds
+ * @param {number} options.preDelay - silence before the tail, in ms
+ * @returns {AudioBuffer}
+ */
+export function createReverbImpulse(ctx, { type = DEFAULT_REVERB_TYPE, decay, preDelay } = {}) {
+  const shape = SHAPES[type] || SHAPES[DEFAULT_REVERB_TYPE];
+  const defaults = REVERB_TYPES[type] || REVERB_TYPES[DEFAULT_REVERB_TYPE];
+  const duration = decay ?? defaults.decay;
+  const delaySec = (preDelay ?? defaults.preDelay) / 1000;
+
+  const sampleRate = ctx.sampleRate;
+  const offset = Math.round(sampleRate * delaySec);
+  const tailLength = Math.ceil(sampleRate * duration);
+  const irBuffer = ctx.createBuffer(2, offset + tailLength, sampleRate);
+
+  for (let ch = 0; ch < 2; ch++) {
+    const data = irBuffer.getChannelData(ch);
+    let lp = 0;
+    for (let i = 0; i < tailLength; i++) {
+      const t = i / sampleRate;
+      // Exponential decay envelope (RT60 → decay rate = -60dB/duration)
+      let envelope = Math.exp(-t * (6.908 / duration)); // ln(1000)/duration for -60dB
+      if (shape.attack > 0) envelope *= Math.min(1, t / shape.attack);
+      // White noise, optionally damped by a one-pole lowpass
+      const noise = Math.random() * 2 - 1;
+      lp += (1 - shape.damping) * (noise - lp);
+      // Scale up IR to compensate for energy loss in convolution
+      data[offset + i] = lp * envelope * 3.0;
+    }
+
+    // Early reflections: sparse taps in the first 40ms, different per channel
+    for (let r = 0; r < shape.reflections; r++) {
+      const tap = offset + Math.round(sampleRate * (0.005 + Math.random() * 0.035));
+      if (tap < data.length) data[tap] += (Math.random() < 0.5 ? -1 : 1) * (0.5 + Math.random() * 0.5) * 3.0;
+    }
+  }
+
+  return irBuffer;
+}
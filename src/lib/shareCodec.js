@@ -4,6 +4,9 @@ import pako from 'pako';
 
 // ===== Public API =====
 
+// Element holding the payload in a downloaded single-file share (instead of #inline-…)
+export const INLINE_SHARE_ELEMENT_ID = 'inline-share';
+
 // Encode share data object → compressed base64url string
 export function encodeSharePayload(shareData) {
   const json = JSON.stringify(shareData);
@@ -0,0 +1,111 @@
+// Password-protected shares: AES-GCM encryption of meta.json and every .bin
+// with a key derived from the share's passphrase (PBKDF2-SHA256).
+//
+// meta.json  { encrypted: { cipher, kdf, iterations, salt }, data: base64(iv | ciphertext) }
+// *.bin      iv (12 bytes) | ciphertext
+//
+// The file name is bound to each ciphertext (AES-GCM additional data), so files
+// can't be swapped around. The salt belongs to the share and only changes with
+// the passphrase: the key stays the same across re-exports, so a cached old
+// file still decrypts. The admin never stores the passphrase itself.
+
+import { arrayBufferToBase64, base64ToArrayBuffer } from './shareCodec';
+
+const PBKDF2_ITERATIONS = 600000;
+const IV_BYTES = 12;
+const CHECK_FILE = 'check'; // marker encrypted with the share key, to verify a re-entered passphrase
+
+/**
+ * Share-level settings stored in the admin: { salt, check }.
+ * @param {string} passphrase
+ * @param {string} [salt] - keep the share's salt (same key), default a new one
+ * @returns {Promise<{ salt: string, check: string }>}
+ */
+export async function createShareEncryption(passphrase, salt = arrayBufferToBase64(crypto.getRandomValues(new Uint8Array(16)))) {
+  return sealShareKey(await deriveShareKey(passphrase, { salt }), salt);
+}
+
+/** Share settings for an already derived key (e.g. from unlockMeta) */
+export async function sealShareKey(key, salt) {
+  const check = await encryptFile(new TextEncoder().encode(CHECK_FILE), key, CHECK_FILE);
+  return { salt, check: arrayBufferToBase64(check) };
+}
+
+/**
+ * Key of a protected share from its passphrase.
+ * @param {string} passphrase
+ * @param {{ salt: string, check?: string }} encryption - the share's settings
+ * @returns {Promise<CryptoKey|null>} null when the passphrase is wrong
+ */
+export async function unlockShareEncryption(passphrase, encryption) {
+  const key = await deriveShareKey(passphrase, encryption);
+  if (!encryption.check) return key;
+  try {
+    await decryptFile(base64ToArrayBuffer(encryption.check), key, CHECK_FILE);
+    return key;
+  } catch {
+    return null;
+  }
+}
+
+export function isEncryptedMeta(meta) {
+  return Boolean(meta?.encrypted);
+}
+
+/**
+ * @param {string} passphrase
+ * @param {{ salt: string, iterations?: number }} params - the share's salt, or meta.encrypted
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveShareKey(passphrase, { salt, iterations = PBKDF2_ITERATIONS }) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToArrayBuffer(salt), iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+export async function encryptFile(data, key, fileName) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const additionalData = new TextEncoder().encode(fileName);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, data);
+  const out = new Uint8Array(IV_BYTES + ciphertext.byteLength);
+  out.set(iv);
+  out.set(new Uint8Array(ciphertext), IV_BYTES);
+  return out.buffer;
+}
+
+// Throws when the key is wrong or the file was tampered with
+export async function decryptFile(data, key, fileName) {
+  const bytes = new Uint8Array(data);
+  const additionalData = new TextEncoder().encode(fileName);
+  return crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: bytes.subarray(0, IV_BYTES), additionalData },
+    key,
+    bytes.subarray(IV_BYTES)
+  );
+}
+
+/** meta object → encrypted meta.json envelope */
+export async function encryptMeta(meta, key, { salt }) {
+  const data = await encryptFile(new TextEncoder().encode(JSON.stringify(meta)), key, 'meta.json');
+  return {
+    encrypted: { cipher: 'AES-GCM', kdf: 'PBKDF2-SHA256', iterations: PBKDF2_ITERATIONS, salt },
+    data: arrayBufferToBase64(data),
+  };
+}
+
+/**
+ * Open an encrypted meta.json envelope.
+ * @returns {Promise<{ meta: object, key: CryptoKey }>} - throws on a wrong passphrase
+ */
+export async function unlockMeta(envelope, passphrase) {
+  const key = await deriveShareKey(passphrase, envelope.encrypted);
+  const data = await decryptFile(base64ToArrayBuffer(envelope.data), key, 'meta.json');
+  return { meta: JSON.parse(new TextDecoder().decode(data)), key };
+}
@@ -0,0 +1,212 @@
+// Import an exported share (ZIP or unpacked folder, e.g. public/shares/{id}/)
+// back into the admin DB. Everything gets fresh admin ids:
+// - sounds: new library ids (identical audio already in the library is reused)
+// - uploaded reverb IRs: new impulse ids
+// - presets: new preset ids, sound/IR references remapped, no longer "shared"
+// - recorded takes: remapped to the new preset and sound ids
+// - the share definition itself (name, presets, visibleControls, …)
+// Anything that could not be imported 1:1 ends up in report.conflicts.
+
+import JSZip from 'jszip';
+import {
+  getAllFromDb, saveToDb, saveImpulse, getAllPresets, savePreset, saveRecording, getAllShares, remapRecording,
+} from './audioDb';
+import { hashArrayBuffer } from './shareVersion';
+import { unlockMeta, decryptFile, sealShareKey } from './shareCrypto';
+import { clampGainTrim } from './loudness';
+
+// ===== Reading the archive =====
+
+// Files next to meta.json, keyed by file name → () => Promise<ArrayBuffer>
+function collectFiles(entries, metaPath) {
+  const dir = metaPath.slice(0, metaPath.length - 'meta.json'.length);
+  const files = new Map();
+  for (const [path, read] of entries) {
+    if (path.startsWith(dir) && !path.slice(dir.length).includes('/')) {
+      files.set(path.slice(dir.length), read);
+    }
+  }
+  // Folder name = share id (public/shares/{id}/meta.json, {id}.zip → {id}/meta.json)
+  const shareId = dir.split('/').filter(Boolean).pop() || null;
+  return { files, shareId };
+}
+
+/**
+ * Read a share export.
+ * @param {File|FileList|File[]} input - the ZIP, or the files of a picked folder
+ * @returns {Promise<{ meta: object, shareId: string|null, files: Map<string, () => Promise<ArrayBuffer>> }>}
+ */
+export async function readShareArchive(input) {
+  let entries;
+  if (input instanceof File) {
+    const zip = await JSZip.loadAsync(input);
+    entries = Object.values(zip.files)
+      .filter((f) => !f.dir)
+      .map((f) => [f.name, () => f.async('arraybuffer')]);
+  } else {
+    // <input webkitdirectory>: paths come from webkitRelativePath
+    entries = Array.from(input).map((f) => [f.webkitRelativePath || f.name, () => f.arrayBuffer()]);
+  }
+
+  // Shortest path wins when a ZIP holds more than one meta.json
+  const metaPaths = entries
+    .map(([path]) => path)
+    .filter((path) => path === 'meta.json' || path.endsWith('/meta.json'))
+    .sort((a, b) => a.length - b.length);
+  if (metaPaths.length === 0) throw new Error('No meta.json found');
+
+  const { files, shareId } = collectFiles(entries, metaPaths[0]);
+  const meta = JSON.parse(new TextDecoder().decode(await files.get('meta.json')()));
+  // Encrypted meta.json: open with decryptShareArchive first
+  if (!meta.encrypted && !Array.isArray(meta.presets)) throw new Error('meta.json has no presets');
+  return { meta, shareId, files };
+}
+
+/**
+ * Open a password-protected share archive (see lib/shareCrypto).
+ * @returns {Promise<object>} the archive with decrypted meta + file readers, and the
+ *   share's encryption settings so a re-export stays protected — throws on a wrong passphrase
+ */
+export async function decryptShareArchive({ meta: envelope, shareId, files }, passphrase) {
+  const { meta, key } = await unlockMeta(envelope, passphrase);
+  const decrypted = new Map();
+  for (const [name, read] of files) {
+    if (name !== 'meta.json') decrypted.set(name, async () => decryptFile(await read(), key, name));
+  }
+  return { meta, shareId, files: decrypted, encryption: await sealShareKey(key, envelope.encrypted.salt) };
+}
+
+// ===== Importing =====
+
+/**
+ * Write a read share archive into the admin DB.
+ * @param {object} archive - result of readShareArchive
+ * @param {object[]} currentPresets - presets in the store (may not all be saved yet)
+ * @returns {Promise<{ share: object, presets: object[], report: { sounds: number, reused: number, conflicts: string[] } }>}
+ *   pass share + presets to the store's importShare
+ */
+export async function importShareArchive({ meta, shareId, files, encryption = null }, currentPresets = []) {
+  const conflicts = [];
+  const audioNames = meta.audioNames || {};
+  const audioGainTrims = meta.audioGainTrims || {};
+
+  // 1. Sounds — reuse identical audio that is already in the library
+  const existingByHash = new Map();
+  for (const item of await getAllFromDb()) {
+    existingByHash.set(await hashArrayBuffer(item.audioData), item.id);
+  }
+
+  const audioIds = new Set(meta.presets.flatMap((p) => p.libraryItemDbIds || []));
+  const audioRemap = new Map();
+  let sounds = 0;
+  let reused = 0;
+  for (const oldId of audioIds) {
+    const key = String(oldId);
+    const name = audioNames[key] || `sound-${oldId}`;
+    const read = files.get(`${oldId}.bin`);
+    if (!read) {
+      conflicts.push(`Geluid "${name}" (${oldId}.bin) ontbreekt in het archief — overgeslagen.`);
+      continue;
+    }
+    const data = await read();
+    const hash = await hashArrayBuffer(data);
+    if (existingByHash.has(hash)) {
+      audioRemap.set(oldId, existingByHash.get(hash));
+      reused++;
+      continue;
+    }
+    if (meta.audioFormats?.[key]) {
+      conflicts.push(`Geluid "${name}" is ${meta.audioFormats[key].codec.toUpperCase()}-gecodeerd geëxporteerd — het origineel is niet terug te halen.`);
+    }
+    const newId = await saveToDb(name, data, undefined, {
+      gainTrim: clampGainTrim(audioGainTrims[key] ?? 0),
+      sourceBpm: meta.audioTempos?.[key]?.sourceBpm ?? null,
+      loopBars: meta.audioTempos?.[key]?.loopBars ?? null,
+    });
+    existingByHash.set(hash, newId);
+    audioRemap.set(oldId, newId);
+    sounds++;
+  }
+  const remapDbId = (dbId) => audioRemap.get(dbId) ?? null;
+
+  // 2. Uploaded reverb IRs
+  const impulseRemap = new Map();
+  const impulseIds = new Set(meta.presets.map((p) => p.reverbIrDbId).filter((id) => id != null));
+  for (const oldId of impulseIds) {
+    const name = meta.impulseNames?.[String(oldId)] || `ir-${oldId}`;
+    const read = files.get(`ir-${oldId}.bin`);
+    if (!read) {
+      conflicts.push(`Impulse response "${name}" (ir-${oldId}.bin) ontbreekt — preset valt terug op Hall.`);
+      continue;
+    }
+    impulseRemap.set(oldId, await saveImpulse(name, await read()));
+  }
+
+  // 3. Presets
+  const storedPresets = await getAllPresets();
+  const allPresets = [...storedPresets, ...currentPresets];
+  const names = new Set(allPresets.map((p) => p.name));
+  let nextPresetId = Math.max(0, ...allPresets.map((p) => p.id)) + 1;
+  const presetRemap = new Map();
+  const presets = [];
+  for (const preset of meta.presets) {
+    let name = preset.name;
+    if (names.has(name)) {
+      const importName = (n) => `${preset.name} (import${n > 1 ? ` ${n}` : ''})`;
+      let n = 1;
+      while (names.has(importName(n))) n++;
+      name = importName(n);
+      conflicts.push(`Preset "${preset.name}" bestond al — geïmporteerd als "${name}".`);
+    }
+    names.add(name);
+
+    const irMissing = preset.reverbIrDbId != null && !impulseRemap.has(preset.reverbIrDbId);
+    const imported = {
+      ...preset,
+      id: nextPresetId++,
+      name,
+      shared: false,
+      libraryItemDbIds: (preset.libraryItemDbIds || []).map(remapDbId).filter((id) => id != null),
+      orbLayout: (preset.orbLayout || [])
+        .map((o) => ({ ...o, dbId: remapDbId(o.dbId) }))
+        .filter((o) => o.dbId != null),
+      reverbIrDbId: preset.reverbIrDbId != null ? impulseRemap.get(preset.reverbIrDbId) ?? null : null,
+      ...(irMissing ? { reverbType: 'hall', reverbIrName: null } : {}),
+    };
+    await savePreset(imported);
+    presetRemap.set(preset.id, imported.id);
+    presets.push(imported);
+  }
+
+  // 4. Recorded takes
+  for (const recording of meta.recordings || []) {
+    const presetId = presetRemap.get(recording.presetId);
+    if (presetId == null) continue;
+    await saveRecording(remapRecording(recording, presetId, remapDbId));
+  }
+
+  // 5. Share definition — keeps the published id (and link) unless it is taken;
+  // id null = the store generates a new one
+  const existingShareIds = new Set((await getAllShares()).map((s) => s.id));
+  let id = shareId;
+  if (id && existingShareIds.has(id)) {
+    conflicts.push(`Share-id "${id}" bestaat al — de import krijgt een nieuwe link.`);
+    id = null;
+  }
+  const share = {
+    id,
+    name: meta.name || shareId || 'Geïmporteerde share',
+    presetIds: presets.map((p) => p.id),
+    visibleControls: meta.visibleControls,
+    showLibrary: meta.showLibrary ?? true,
+    showOrbRemove: meta.showOrbRemove ?? true,
+    audioFormat: 'original', // imported files are exported as they are now
+    audioQuality: null,
+    encryption,
+    validFrom: meta.validFrom ?? null,
+    validUntil: meta.validUntil ?? null,
+    disabled: meta.disabled ?? false,
+  };
+
+  return { share, presets, report: { sounds, reused, conflicts } };
+}
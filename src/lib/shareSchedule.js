@@ -0,0 +1,49 @@
+// Share availability: optional validFrom / validUntil (ISO dates) and a disabled flag.
+// Set per share in the admin, exported in meta.json and enforced by the player.
+// The site is static, so a change only takes effect once the share is re-published.
+
+export const SHARE_STATUS_LABELS = {
+  active: 'Actief',
+  scheduled: 'Gepland',
+  expired: 'Verlopen',
+  disabled: 'Uitgeschakeld',
+};
+
+/**
+ * @param {{ validFrom?: string|null, validUntil?: string|null, disabled?: boolean }} share - share or meta.json
+ * @param {number} [now]
+ * @returns {'active'|'scheduled'|'expired'|'disabled'}
+ */
+export function getShareStatus(share, now = Date.now()) {
+  if (share?.disabled) return 'disabled';
+  if (share?.validFrom && now < Date.parse(share.validFrom)) return 'scheduled';
+  if (share?.validUntil && now >= Date.parse(share.validUntil)) return 'expired';
+  return 'active';
+}
+
+// Only the fields that are set, for meta.json
+export function pickShareSchedule(share) {
+  const schedule = {};
+  if (share.validFrom) schedule.validFrom = share.validFrom;
+  if (share.validUntil) schedule.validUntil = share.validUntil;
+  if (share.disabled) schedule.disabled = true;
+  return schedule;
+}
+
+export function formatShareDate(iso) {
+  return new Date(iso).toLocaleString('nl-NL', { dateStyle: 'long', timeStyle: 'short' });
+}
+
+// Player message for a share that can't be opened (null = active)
+export function getShareStatusMessage(share, now = Date.now()) {
+  switch (getShareStatus(share, now)) {
+    case 'disabled':
+      return 'Deze share is niet meer beschikbaar.';
+    case 'scheduled':
+      return `Deze share is beschikbaar vanaf ${formatShareDate(share.validFrom)}.`;
+    case 'expired':
+      return `Deze share is verlopen op ${formatShareDate(share.validUntil)}.`;
+    default:
+      return null;
+  }
+}
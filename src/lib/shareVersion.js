@@ -0,0 +1,28 @@
+// Content hashing for published shares, so a player can tell that the admin
+// republished a share (and which sounds changed) without comparing audio bytes.
+
+// SHA-256 of an ArrayBuffer as hex
+export async function hashArrayBuffer(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Share version = hash over everything a player would receive: presets,
+// takes, names/trims and the audio content hashes (not the export time)
+export async function computeShareVersion(meta) {
+  const { version: _version, exportedAt: _exportedAt, ...content } = meta;
+  const bytes = new TextEncoder().encode(JSON.stringify(content));
+  const hash = await hashArrayBuffer(bytes.buffer);
+  return hash.slice(0, 16);
+}
+
+// Does a stored library record match the published sound?
+// Compares content hashes when both are known, otherwise byte sizes.
+export function isSameAudio(item, meta) {
+  const key = String(item.id);
+  const publishedHash = meta.audioHashes?.[key];
+  if (publishedHash && item.contentHash) return item.contentHash === publishedHash;
+  const publishedSize = meta.audioSizes?.[key];
+  if (publishedSize != null) return item.audioData.byteLength === publishedSize;
+  return false;
+}
@@ -0,0 +1,57 @@
+// Loop tempo of a library sound: its source BPM and length in bars, and the
+// playback rate that fits it to the preset BPM (resampled — pitch follows the rate)
+//
+// The BPM counts quarter notes, so beatsPerBar is the bar length in quarters of
+// the preset's time signature (beatClock.parseTimeSignature().barQuarters: 6/8 = 3)
+
+const BEATS_PER_BAR = 4;
+const BPM_MIN = 60;
+const BPM_MAX = 200;
+const BAR_COUNTS = [1, 2, 4, 8, 16, 32];
+const LOOP_TOLERANCE = 0.005; // s — how close the length must be to whole bars
+
+export function barsToBpm(duration, bars, beatsPerBar = BEATS_PER_BAR) {
+  return (bars * beatsPerBar * 60) / duration;
+}
+
+// Whole bars at that tempo (null when the sound is shorter than half a bar)
+export function bpmToBars(duration, bpm, beatsPerBar = BEATS_PER_BAR) {
+  const bars = Math.round((duration * bpm) / (beatsPerBar * 60));
+  return bars >= 1 ? bars : null;
+}
+
+/**
+ * Guess a loop's tempo from its length: a loop cut at an integer BPM lasts
+ * exactly a whole number of bars. Sounds that don't fit (one-shots, textures)
+ * get null, so they are never stretched by accident.
+ * @param {number} duration - seconds
+ * @param {number} [beatsPerBar] - quarter notes per bar
+ * @returns {{ sourceBpm: number, loopBars: number } | null}
+ */
+export function guessLoopTempo(duration, beatsPerBar = BEATS_PER_BAR) {
+  if (!(duration >= 1)) return null;
+  let best = null;
+  for (const bars of BAR_COUNTS) {
+    const bpm = Math.round(barsToBpm(duration, bars, beatsPerBar));
+    if (bpm < BPM_MIN || bpm > BPM_MAX) continue;
+    const exactDuration = (bars * beatsPerBar * 60) / bpm;
+    if (Math.abs(exactDuration - duration) > LOOP_TOLERANCE) continue;
+    // Several bar counts can fit (4 bars @ 60 = 8 bars @ 120): prefer the common tempo
+    if (!best || Math.abs(bpm - 120) < Math.abs(best.sourceBpm - 120)) {
+      best = { sourceBpm: bpm, loopBars: bars };
+    }
+  }
+  return best;
+}
+
+/**
+ * Playback rate that plays a loop of sourceBpm at bpm. Half/double time
+ * counts as in sync, so the rate stays within ±half an octave of 1.
+ */
+export function getTempoRatio(sourceBpm, bpm) {
+  if (!sourceBpm || !bpm) return 1;
+  let ratio = bpm / sourceBpm;
+  while (ratio > Math.SQRT2) ratio /= 2;
+  while (ratio < Math.SQRT1_2) ratio *= 2;
+  return ratio;
+}
@@ -1,4 +1,7 @@
 import { create } from 'zustand';
+import { getNextGridTime, resetBeatClock, setBeatClockTempo, DEFAULT_TIME_SIGNATURE, DEFAULT_QUANTIZE_GRID, SWING_MIN, SWING_MAX } from '../lib/beatClock';
+import { REVERB_TYPES, DEFAULT_REVERB_TYPE } from '../lib/reverbImpulse';
+import { clampGainTrim } from '../lib/loudness';
 
 let nextLibraryId = 1;
 let nextOrbId = 1;
@@ -39,7 +42,17 @@ function createDefaultVisibleControls() {
     reverbLpfSlider: true,
     filterToggle: true,
     quantizeToggle: true,
+    quantizeMuteToggle: true,
+    fades: true,
+    timeSignature: true,
+    quantizeGrid: true,
+    swing: true,
+    tempoSyncToggle: true,
+    songPositionToggle: true,
     bpmControl: true,
+    recorder: true,
+    reverbType: true,
+    masterBus: false,
   };
 }
 
@@ -49,21 +62,88 @@ function createDefaultPreset(name = 'Preset 1') {
     name,
     bpm: 120,
     quantizeEnabled: true,
+    timeSignature: DEFAULT_TIME_SIGNATURE, // bar length for the grid; the BPM counts quarter notes
+    quantizeGrid: DEFAULT_QUANTIZE_GRID, // key of QUANTIZE_GRIDS
+    swing: SWING_MIN, // percent, 50 = straight (beat grid only)
+    quantizeMute: false, // mute, unmute and removal also wait for the next grid point
+    fadeIn: 10, // ms, on start and unmute
+    fadeOut: 50, // ms, on stop and mute
+    tempoSync: true, // loops with a source BPM are resampled to the preset BPM
+    songPosition: true, // loops join at the grid's phrase position instead of their bar 1
     reverbEnabled: false,
     reverbSendLevel: 0.5,
     reverbLpfFreq: 3500,
+    reverbType: DEFAULT_REVERB_TYPE, // key of REVERB_TYPES, or 'custom' for an uploaded IR
+    reverbDecay: REVERB_TYPES[DEFAULT_REVERB_TYPE].decay,
+    reverbPreDelay: REVERB_TYPES[DEFAULT_REVERB_TYPE].preDelay,
+    reverbIrDbId: null, // uploaded IR (impulses store) when reverbType is 'custom'
+    reverbIrName: null,
     filterEnabled: true,
+    normalizeEnabled: true, // off = play sounds at their own (already mastered) level
+    normalizeTarget: -30, // LUFS
+    masterVolume: 0, // dB, -24..+6
+    eqLow: 0, // dB, ±12
+    eqMid: 0,
+    eqHigh: 0,
+    limiterEnabled: true,
     backgroundImage: null,
     libraryItemDbIds: [],
+    orbLayout: [], // scene snapshot: [{ dbId, x, y, size, muted, color }]
     shared: false,
   };
 }
 
+// Snapshot runtime orbs into a serializable layout (sound referenced by library dbId)
+function orbsToLayout(orbs, libraryItems) {
+  const layout = [];
+  for (const orb of orbs) {
+    const item = libraryItems.find((i) => i.id === orb.soundId);
+    if (!item || item.dbId == null) continue; // not persisted, can't be restored
+    layout.push({
+      dbId: item.dbId,
+      x: orb.x,
+      y: orb.y,
+      size: orb.size,
+      muted: orb.muted,
+      color: orb.color,
+    });
+  }
+  return layout;
+}
+
+// AudioContext time a mute/unmute/removal takes effect: the next grid point when
+// the preset quantizes those too, else null (immediately)
+function getQuantizedChangeTime(state) {
+  const preset = state.presets.find((p) => p.id === state.activePresetId);
+  const ctx = window.__audioCtx;
+  if (!ctx || !(preset?.quantizeEnabled ?? true) || !preset?.quantizeMute || state.orbs.length === 0) return null;
+  return getNextGridTime(ctx, {
+    bpm: preset.bpm || 120,
+    timeSignature: preset.timeSignature,
+    grid: preset.quantizeGrid,
+    swing: preset.swing,
+  });
+}
+
+function msUntil(time) {
+  return Math.max(0, (time - (window.__audioCtx?.currentTime || 0)) * 1000);
+}
+
+// Return presets with the active preset's orbLayout synced to the given orbs
+function presetsWithOrbLayout(state, orbs) {
+  const orbLayout = orbsToLayout(orbs, state.libraryItems);
+  return state.presets.map((p) =>
+    p.id === state.activePresetId ? { ...p, orbLayout } : p
+  );
+}
+
 const useSoundStore = create((set, get) => ({
   // Runtime state (not per-preset)
   libraryItems: [],
   orbs: [],
   globalMuted: false,
+  // True while a recorded take replays: the scene is transient and not persisted
+  scenePlayback: false,
 
   // Presets
   presets: [createDefaultPreset()],
@@ -126,6 +206,13 @@ const useSoundStore = create((set, get) => ({
       };
     }),
 
+  updatePreset: (id, updates) =>
+    set((state) => ({
+      presets: state.presets.map((p) =>
+        p.id === id ? { ...p, ...updates } : p
+      ),
+    })),
+
   // Update active preset settings (partial)
   updateActivePreset: (updates) =>
     set((state) => ({
@@ -137,14 +224,49 @@ const useSoundStore = create((set, get) => ({
   // Convenience actions that update active preset
   setBpm: (bpm) => {
     const val = Math.max(40, Math.min(240, Number(bpm) || 120));
+    // Re-anchor the grid so the song position continues at the new tempo
+    if (window.__audioCtx) setBeatClockTempo(window.__audioCtx, val);
     get().updateActivePreset({ bpm: val });
   },
 
+  setTimeSignature: (timeSignature) => get().updateActivePreset({ timeSignature }),
+
+  setQuantizeGrid: (quantizeGrid) => get().updateActivePreset({ quantizeGrid }),
+
+  setSwing: (swing) => {
+    const val = Math.max(SWING_MIN, Math.min(SWING_MAX, Number(swing) || SWING_MIN));
+    get().updateActivePreset({ swing: val });
+  },
+
   toggleQuantize: () => {
     const preset = get().getActivePreset();
     if (preset) get().updateActivePreset({ quantizeEnabled: !preset.quantizeEnabled });
   },
 
+  toggleQuantizeMute: () => {
+    const preset = get().getActivePreset();
+    if (preset) get().updateActivePreset({ quantizeMute: !preset.quantizeMute });
+  },
+
+  // ms, 0..2000
+  setFades: (fades) => {
+    const clamp = (ms) => Math.max(0, Math.min(2000, Math.round(Number(ms) || 0)));
+    const updates = {};
+    if (fades.fadeIn !== undefined) updates.fadeIn = clamp(fades.fadeIn);
+    if (fades.fadeOut !== undefined) updates.fadeOut = clamp(fades.fadeOut);
+    get().updateActivePreset(updates);
+  },
+
+  toggleTempoSync: () => {
+    const preset = get().getActivePreset();
+    if (preset) get().updateActivePreset({ tempoSync: !(preset.tempoSync ?? true) });
+  },
+
+  toggleSongPosition: () => {
+    const preset = get().getActivePreset();
+    if (preset) get().updateActivePreset({ songPosition: !(preset.songPosition ?? true) });
+  },
+
   toggleReverb: () => {
     const preset = get().getActivePreset();
     if (preset) get().updateActivePreset({ reverbEnabled: !preset.reverbEnabled });
@@ -158,11 +280,63 @@ const useSoundStore = create((set, get) => ({
     get().updateActivePreset({ reverbLpfFreq: Math.max(200, Math.min(20000, value)) });
   },
 
+  // Picking a procedural type resets decay/pre-delay to that type's defaults
+  setReverbType: (type) => {
+    const preset = get().getActivePreset();
+    if (type === 'custom') {
+      if (preset?.reverbIrDbId != null) get().updateActivePreset({ reverbType: 'custom' });
+      return;
+    }
+    const defaults = REVERB_TYPES[type];
+    if (!defaults) return;
+    get().updateActivePreset({
+      reverbType: type,
+      reverbDecay: defaults.decay,
+      reverbPreDelay: defaults.preDelay,
+    });
+  },
+
+  setReverbDecay: (seconds) => {
+    get().updateActivePreset({ reverbDecay: Math.max(0.2, Math.min(10, seconds)) });
+  },
+
+  setReverbPreDelay: (ms) => {
+    get().updateActivePreset({ reverbPreDelay: Math.max(0, Math.min(200, ms)) });
+  },
+
+  setReverbImpulse: (dbId, name) => {
+    get().updateActivePreset({ reverbType: 'custom', reverbIrDbId: dbId, reverbIrName: name });
+  },
+
+  toggleNormalize: () => {
+    const preset = get().getActivePreset();
+    if (preset) get().updateActivePreset({ normalizeEnabled: !(preset.normalizeEnabled ?? true) });
+  },
+
+  setNormalizeTarget: (lufs) => {
+    get().updateActivePreset({ normalizeTarget: Math.max(-60, Math.min(-6, lufs)) });
+  },
+
   toggleFilter: () => {
     const preset = get().getActivePreset();
     if (preset) get().updateActivePreset({ filterEnabled: !preset.filterEnabled });
   },
 
+  setMasterVolume: (db) => {
+    get().updateActivePreset({ masterVolume: Math.max(-24, Math.min(6, db)) });
+  },
+
+  // band: 'eqLow' | 'eqMid' | 'eqHigh'
+  setMasterEq: (band, db) => {
+    if (!['eqLow', 'eqMid', 'eqHigh'].includes(band)) return;
+    get().updateActivePreset({ [band]: Math.max(-12, Math.min(12, db)) });
+  },
+
+  toggleLimiter: () => {
+    const preset = get().getActivePreset();
+    if (preset) get().updateActivePreset({ limiterEnabled: !(preset.limiterEnabled ?? true) });
+  },
+
   setBackgroundImage: (dataUrl) => {
     get().updateActivePreset({ backgroundImage: dataUrl });
   },
@@ -185,7 +359,11 @@ const useSoundStore = create((set, get) => ({
     set((state) => ({
       presets: state.presets.map((p) =>
         p.id === state.activePresetId
-          ? { ...p, libraryItemDbIds: p.libraryItemDbIds.filter((id) => id !== dbId) }
+          ? {
+              ...p,
+              libraryItemDbIds: p.libraryItemDbIds.filter((id) => id !== dbId),
+              orbLayout: (p.orbLayout || []).filter((o) => o.dbId !== dbId),
+            }
           : p
       ),
     })),
@@ -206,12 +384,56 @@ const useSoundStore = create((set, get) => ({
     }),
 
   // ===== Library actions =====
-  addToLibrary: (name, audioBuffer, dbId = null) =>
+  // inputLufs: measured loudness before normalization; gainTrim: dB on top of it
+  // sourceBpm / loopBars: the loop's own tempo and length (null = not a tempo-synced loop)
+  // analysis: detected bpm / key / loopBars from the import (see lib/audioAnalysis), or null
+  addToLibrary: (name, audioBuffer, dbId = null, { inputLufs = null, gainTrim = 0, sourceBpm = null, loopBars = null, analysis = null } = {}) =>
+    set((state) => ({
+      libraryItems: [
+        ...state.libraryItems,
+        { id: nextLibraryId++, name, audioBuffer, dbId, inputLufs, gainTrim, sourceBpm, loopBars, analysis },
+      ],
+    })),
+
+  // Placeholder shown while a sound is still downloading/decoding; returns its id
+  addPendingLibraryItem: (name, dbId) => {
+    const id = nextLibraryId++;
     set((state) => ({
       libraryItems: [
         ...state.libraryItems,
-        { id: nextLibraryId++, name, audioBuffer, dbId },
+        { id, name, audioBuffer: null, dbId, inputLufs: null, gainTrim: 0, sourceBpm: null, loopBars: null, analysis: null, loading: true, progress: 0 },
       ],
+    }));
+    return id;
+  },
+
+  // progress: 0..1 download, 1 = decoding
+  setLibraryItemProgress: (id, progress) =>
+    set((state) => ({
+      libraryItems: state.libraryItems.map((item) =>
+        item.id === id ? { ...item, progress } : item
+      ),
+    })),
+
+  resolveLibraryItem: (id, audioBuffer, { inputLufs = null, gainTrim = 0, sourceBpm = null, loopBars = null, analysis = null } = {}) =>
+    set((state) => ({
+      libraryItems: state.libraryItems.map((item) =>
+        item.id === id ? { ...item, audioBuffer, inputLufs, gainTrim, sourceBpm, loopBars, analysis, loading: false, progress: 1 } : item
+      ),
+    })),
+
+  setGainTrim: (id, db) =>
+    set((state) => ({
+      libraryItems: state.libraryItems.map((item) =>
+        item.id === id ? { ...item, gainTrim: clampGainTrim(db) } : item
+      ),
+    })),
+
+  setLibraryItemTempo: (id, { sourceBpm, loopBars }) =>
+    set((state) => ({
+      libraryItems: state.libraryItems.map((item) =>
+        item.id === id ? { ...item, sourceBpm, loopBars } : item
+      ),
     })),
 
   removeFromLibrary: (id) =>
@@ -222,29 +444,60 @@ const useSoundStore = create((set, get) => ({
   clearLibrary: () => set({ libraryItems: [] }),
 
   // ===== Orb actions =====
-  addOrb: (soundId, x, y) =>
+  // Committed orb changes (add, remove, mute, end of a gesture) are mirrored
+  // into the active preset's orbLayout so the mix survives preset switches and reloads.
+  // startAt: optional AudioContext time for a quantized start (null = immediate)
+  addOrb: (soundId, x, y, startAt = null) =>
     set((state) => {
       const libraryItem = state.libraryItems.find((item) => item.id === soundId);
-      if (!libraryItem) return state;
-      return {
-        orbs: [
-          ...state.orbs,
-          {
-            id: nextOrbId++,
-            soundId,
-            name: libraryItem.name,
-            audioBuffer: libraryItem.audioBuffer,
-            x,
-            y,
-            size: 100,
-            muted: false,
-            color: getNextColor(),
-            waiting: false, // true when quantized start is pending
-          },
-        ],
-      };
+      if (!libraryItem?.audioBuffer) return state; // missing or still loading
+      const orbs = [
+        ...state.orbs,
+        {
+          id: nextOrbId++,
+          soundId,
+          name: libraryItem.name,
+          audioBuffer: libraryItem.audioBuffer,
+          x,
+          y,
+          size: 100,
+          muted: false,
+          color: getNextColor(),
+          waiting: startAt !== null, // true when quantized start is pending
+          startAt,
+        },
+      ];
+      return { orbs, presets: presetsWithOrbLayout(state, orbs) };
     }),
 
+  // Add an orb at a field position, quantized to the next grid point (beat,
+  // bar or bars of the preset's time signature) when the grid is enabled. The first orb starts immediately
+  // and resets the beat clock so later orbs sync to it.
+  placeOrb: (soundId, x, y) => {
+    const state = get();
+    const preset = state.getActivePreset();
+    const ctx = window.__audioCtx;
+    const clampedX = Math.max(0, Math.min(1, x));
+    const clampedY = Math.max(0, Math.min(1, y));
+
+    let startAt = null;
+    if ((preset?.quantizeEnabled ?? true) && ctx) {
+      if (state.orbs.length === 0) {
+        resetBeatClock(ctx);
+      } else {
+        startAt = getNextGridTime(ctx, {
+          bpm: preset?.bpm || 120,
+          timeSignature: preset?.timeSignature,
+          grid: preset?.quantizeGrid,
+          swing: preset?.swing,
+        });
+      }
+    }
+    state.addOrb(soundId, clampedX, clampedY, startAt);
+  },
+
+  // Transient update (drag, pinch, wheel, transport state): the preset's
+  // orbLayout is only snapshotted by commitOrbLayout once the gesture ends
   updateOrb: (id, updates) =>
     set((state) => ({
       orbs: state.orbs.map((orb) =>
@@ -252,27 +505,100 @@ const useSoundStore = create((set, get) => ({
       ),
     })),
 
-  toggleMute: (id) =>
-    set((state) => ({
-      orbs: state.orbs.map((orb) =>
-        orb.id === id ? { ...orb, muted: !orb.muted } : orb
-      ),
-    })),
+  commitOrbLayout: () =>
+    set((state) => ({ presets: presetsWithOrbLayout(state, state.orbs) })),
 
-  toggleGlobalMute: () =>
-    set((state) => ({ globalMuted: !state.globalMuted })),
+  // With quantized mute the orb shows "waiting" until the change is heard at changeAt
+  toggleMute: (id) => {
+    const changeAt = getQuantizedChangeTime(get());
+    set((state) => {
+      const orbs = state.orbs.map((orb) =>
+        orb.id === id ? { ...orb, muted: !orb.muted, waiting: changeAt !== null, changeAt } : orb
+      );
+      return { orbs, presets: presetsWithOrbLayout(state, orbs) };
+    });
+    if (changeAt !== null) {
+      setTimeout(() => {
+        // A later toggle owns the waiting state
+        const orb = get().orbs.find((o) => o.id === id);
+        if (orb?.changeAt === changeAt) get().updateOrb(id, { waiting: false, changeAt: null });
+      }, msUntil(changeAt));
+    }
+  },
+
+  // globalMuteAt: quantized change time while it is pending (null = heard)
+  globalMuteAt: null,
+
+  toggleGlobalMute: () => {
+    const changeAt = getQuantizedChangeTime(get());
+    set((state) => ({ globalMuted: !state.globalMuted, globalMuteAt: changeAt }));
+    if (changeAt !== null) {
+      setTimeout(() => {
+        if (get().globalMuteAt === changeAt) set({ globalMuteAt: null });
+      }, msUntil(changeAt));
+    }
+  },
+
+  setGlobalMuted: (muted) => set({ globalMuted: !!muted, globalMuteAt: null }),
+
+  setScenePlayback: (active) => set({ scenePlayback: !!active }),
+
+  // Remove an orb on the next grid point when mutes are quantized: it shows
+  // "waiting" and keeps playing until then. Resolves with the change time
+  // (null = immediately) — the caller fades the sound out from there.
+  scheduleRemoveOrb: (id) => {
+    const changeAt = getQuantizedChangeTime(get());
+    if (changeAt === null) {
+      get().removeOrb(id);
+      return null;
+    }
+    get().updateOrb(id, { waiting: true, changeAt });
+    setTimeout(() => get().removeOrb(id), msUntil(changeAt));
+    return changeAt;
+  },
 
   removeOrb: (id) =>
-    set((state) => ({
-      orbs: state.orbs.filter((orb) => orb.id !== id),
-    })),
+    set((state) => {
+      const orbs = state.orbs.filter((orb) => orb.id !== id);
+      return { orbs, presets: presetsWithOrbLayout(state, orbs) };
+    }),
 
-  clearOrbs: () => set({ orbs: [] }),
+  clearOrbs: () =>
+    set((state) => ({ orbs: [], presets: presetsWithOrbLayout(state, []) })),
+
+  // Rebuild orbs from a preset's orbLayout (call after its library is loaded).
+  // Entries whose sound is missing from the library are skipped.
+  restoreOrbLayout: (layout) =>
+    set((state) => {
+      const orbs = [];
+      for (const entry of layout || []) {
+        const libraryItem = state.libraryItems.find((item) => item.dbId === entry.dbId);
+        if (!libraryItem?.audioBuffer) continue;
+        orbs.push({
+          id: nextOrbId++,
+          soundId: libraryItem.id,
+          name: libraryItem.name,
+          audioBuffer: libraryItem.audioBuffer,
+          x: entry.x,
+          y: entry.y,
+          size: entry.size ?? 100,
+          muted: entry.muted ?? false,
+          color: entry.color || getNextColor(),
+          waiting: false,
+          startAt: null,
+        });
+      }
+      return { orbs };
+    }),
 
   // ===== Shares =====
   shares: [],
 
-  createShare: (name, presetIds, visibleControls = null, showLibrary = true, showOrbRemove = true) =>
+  // options: the share's fields (same names as on the share), all optional
+  createShare: (name, presetIds, {
+    visibleControls = null, showLibrary = true, showOrbRemove = true, audioFormat = 'original', audioQuality = null,
+    encryption = null, validFrom = null, validUntil = null, disabled = false,
+  } = {}) =>
     set((state) => {
       const share = {
         id: generateShareId(),
@@ -281,6 +607,12 @@ const useSoundStore = create((set, get) => ({
         visibleControls: visibleControls || createDefaultVisibleControls(),
         showLibrary,
         showOrbRemove,
+        audioFormat, // export encoding, see lib/audioEncoder
+        audioQuality,
+        encryption, // { salt, check } for a password-protected export (no passphrase), see lib/shareCrypto
+        validFrom, // availability, see lib/shareSchedule
+        validUntil,
+        disabled,
       };
       return { shares: [...state.shares, share] };
     }),
@@ -297,6 +629,16 @@ const useSoundStore = create((set, get) => ({
       shares: state.shares.filter((s) => s.id !== shareId),
     })),
 
+  // Imported share (lib/shareImport): its presets are already in the DB with fresh ids
+  importShare: (share, presets) =>
+    set((state) => {
+      nextPresetId = Math.max(nextPresetId, ...presets.map((p) => p.id + 1));
+      return {
+        presets: [...state.presets, ...presets],
+        shares: [...state.shares, { ...share, id: share.id ?? generateShareId() }],
+      };
+    }),
+
   loadShares: (shares) =>
     set(() => ({ shares })),
 }));